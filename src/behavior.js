@@ -1,68 +1,131 @@
 import { readFileSync } from 'node:fs';
 import { extname } from 'node:path';
 import yaml from 'js-yaml';
+import { normalizeChunkUnit } from './config-items.js';
+import { normalizeErrorDirective, resolveFlakyError } from './error-catalog.js';
 import { resolveTriggerResponse } from './model-config.js';
-import { combineTokens, countTokens, generateId, resolvePath, safeJsonParse } from './utils.js';
+import {
+    countAssistantTurns,
+    extractChoiceCount,
+    extractGenerationLimits,
+    extractResponseSchema,
+    listToolNames,
+} from './request-utils.js';
+import { generateFromSchema, validateAgainstSchema } from './schema-faker.js';
+import { buildTemplateContext, renderTemplate, renderTemplateValue } from './template.js';
+import {
+    combineTokens,
+    countTokens,
+    createSeededRandom,
+    generateId,
+    hashString,
+    normalizeHeaderValue,
+    parseRegexLiteral,
+    resolvePath,
+    parseInteger,
+    safeJsonParse,
+    toArray,
+    truncateToTokens,
+} from './utils.js';
 
 const BUILTIN_BEHAVIORS = new Set(['echo', 'robot', 'weirdo', 'thinker']);
+const STOP_REASONS = new Set(['stop', 'length', 'tool_calls', 'content_filter', 'refusal', 'stop_sequence']);
+const STOP_REASON_ALIASES = {
+    end_turn: 'stop',
+    max_tokens: 'length',
+    tool_use: 'tool_calls',
+    safety: 'content_filter',
+};
+
+export async function resolveResponse(params) {
+    const result = resolveSingleResponse(params);
+    const count = extractChoiceCount(params.requestBody);
+    if (result.mode !== 'canonical' || count <= 1) {
+        return result;
+    }
+
+    const choices = [result.response];
+    for (let choiceIndex = 1; choiceIndex < count; choiceIndex += 1) {
+        choices.push(resolveSingleResponse({ ...params, choiceIndex }).response);
+    }
+    result.response = { ...result.response, choices, usage: combineUsage(choices) };
+    return result;
+}
 
-export async function resolveResponse({
+function resolveSingleResponse({
     config,
     modelName,
     inputText,
     lastUserMessage,
     requestBody,
     headers,
+    toolResult,
+    sessionStore,
+    seed,
+    choiceIndex = 0,
 }) {
+    const base = {
+        config,
+        inputText,
+        lastUserMessage,
+        requestBody,
+        headers,
+        toolResult,
+        seed: seed ?? requestBody?.seed ?? '',
+        choiceIndex,
+    };
     const headerBehavior = headers['x-behavior'];
     if (headerBehavior) {
         const behavior = String(headerBehavior).trim();
-        return buildBehaviorResponse({ config, behavior, inputText, lastUserMessage, requestBody, headers });
+        return buildBehaviorResponse({ ...base, behavior });
     }
 
-    const triggerMatch = resolveTriggerResponse(modelName, lastUserMessage, config.modelRegistry);
+    const triggerMatch = resolveTriggerResponse(modelName, lastUserMessage, config.modelRegistry, { toolResult });
     if (triggerMatch) {
-        return buildDirectiveResponse({
-            config,
+        const trigger = { model: triggerMatch.model, match: triggerMatch.isDefault ? '_default' : triggerMatch.match };
+        const result = buildDirectiveResponse({
+            ...base,
             directive: triggerMatch.response,
-            inputText,
-            lastUserMessage,
-            requestBody,
-            headers,
+            modelName,
+            captures: triggerMatch.captures,
             behaviorName: `config:${triggerMatch.model}`,
+            sessionStore,
+            sequenceKey: `${trigger.model}:${trigger.match}`,
         });
+        return { ...result, trigger };
     }
 
     const behaviorEntry = config.modelRegistry.behaviorModels.get(modelName);
     if (behaviorEntry) {
         const behavior = behaviorEntry.behavior || modelName;
-        return buildBehaviorResponse({
-            config,
-            behavior,
-            inputText,
-            lastUserMessage,
-            requestBody,
-            headers,
-            behaviorEntry,
-        });
+        return buildBehaviorResponse({ ...base, behavior, behaviorEntry });
     }
 
     if (BUILTIN_BEHAVIORS.has(String(modelName).toLowerCase())) {
-        return buildBehaviorResponse({ config, behavior: modelName, inputText, lastUserMessage, requestBody, headers });
+        return buildBehaviorResponse({ ...base, behavior: modelName });
     }
 
-    return buildBehaviorResponse({
-        config,
-        behavior: config.defaultBehavior,
-        inputText,
-        lastUserMessage,
-        requestBody,
-        headers,
-    });
+    return buildBehaviorResponse({ ...base, behavior: config.defaultBehavior });
 }
 
-function buildDirectiveResponse({ config, directive, inputText, lastUserMessage, requestBody, headers, behaviorName }) {
+function buildDirectiveResponse(options) {
+    const { config, directive, inputText, lastUserMessage, behaviorName, choiceIndex } = options;
     const resolved = normalizeDirective(directive);
+    const alternatives = toArray(resolved.alternatives);
+    if (choiceIndex > 0 && alternatives.length > 0 && !options.isAlternative) {
+        const alternative = alternatives[(choiceIndex - 1) % alternatives.length];
+        return buildDirectiveResponse({ ...options, directive: alternative, isAlternative: true });
+    }
+    if (resolved.type === 'sequence') {
+        const steps = toArray(resolved.responses);
+        if (steps.length === 0) {
+            return buildDirectiveResponse({ ...options, directive: '' });
+        }
+        const turn = resolveSequenceTurn(options);
+        const index = resolved.loop ? turn % steps.length : Math.min(turn, steps.length - 1);
+        return buildDirectiveResponse({ ...options, directive: steps[index] });
+    }
+
     if (resolved.type === 'file') {
         return {
             mode: 'file',
@@ -74,122 +137,235 @@ function buildDirectiveResponse({ config, directive, inputText, lastUserMessage,
     if (resolved.type === 'error') {
         return {
             mode: 'error',
-            error: {
-                status: resolved.status || 500,
-                message: resolved.message || 'Error',
-            },
+            error: normalizeErrorDirective(resolved, { fallbackStatus: 500, fallbackMessage: 'Error' }),
             behavior: behaviorName,
         };
     }
 
+    if (resolved.type === 'flaky') {
+        const error = choiceIndex > 0 ? null : resolveFlakyError(resolved, {
+            headers: options.headers,
+            requestBody: options.requestBody,
+            sessionStore: options.sessionStore,
+            scope: behaviorName,
+        });
+        if (error) {
+            return { mode: 'error', error, behavior: behaviorName };
+        }
+        return buildDirectiveResponse({ ...options, directive: resolved.response ?? { type: 'echo' } });
+    }
+
     if (resolved.type === 'echo') {
-        const response = {
+        const response = finalizeResponse({
             content: lastUserMessage || inputText || '',
-        };
-        attachToolCalls(response, requestBody, headers, lastUserMessage || inputText);
-        const usage = buildUsage({
-            response,
-            inputText,
-            lastUserMessage,
+            stop_reason: resolved.stop_reason,
+            stream_fault: resolved.stream_fault,
+            latency: resolved.latency,
+        }, {
+            ...options,
             usageOverrides: resolved.usage,
-            tokenCounting: config.tokenCounting,
         });
-        response.usage = usage;
         return { mode: 'canonical', response, behavior: behaviorName };
     }
 
     if (resolved.type === 'message') {
-        const response = {
-            content: resolved.content ?? '',
-            reasoning: resolved.reasoning,
-            tool_calls: normalizeToolCalls(resolved.tool_calls),
-        };
-        attachToolCalls(response, requestBody, headers, lastUserMessage || inputText);
-        const usage = buildUsage({
-            response,
-            inputText,
-            lastUserMessage,
+        const context = buildTemplateContext(options);
+        const chunks = Array.isArray(resolved.chunks)
+            ? resolved.chunks.map((chunk) => renderTemplate(String(chunk ?? ''), context))
+            : null;
+        const content = chunks && resolved.content === undefined
+            ? chunks.join('')
+            : renderTemplate(resolved.content ?? '', context);
+        const response = finalizeResponse({
+            content,
+            reasoning: renderTemplate(resolved.reasoning, context),
+            tool_calls: normalizeToolCalls(renderTemplateValue(resolved.tool_calls, context)),
+            stop_reason: resolved.stop_reason,
+            stream_fault: resolved.stream_fault,
+            latency: resolved.latency,
+            ...buildChunkingFields(resolved, chunks),
+        }, {
+            ...options,
             usageOverrides: resolved.usage,
-            tokenCounting: config.tokenCounting,
         });
-        response.usage = usage;
         return { mode: 'canonical', response, behavior: behaviorName };
     }
 
-    const response = {
-        content: String(resolved.content ?? resolved),
-    };
-    attachToolCalls(response, requestBody, headers, lastUserMessage || inputText);
-    response.usage = buildUsage({
-        response,
-        inputText,
-        lastUserMessage,
+    const response = finalizeResponse({
+        content: renderTemplate(String(resolved.content ?? resolved), buildTemplateContext(options)),
+        stop_reason: resolved.stop_reason,
+        stream_fault: resolved.stream_fault,
+        latency: resolved.latency,
+    }, {
+        ...options,
         usageOverrides: resolved.usage,
-        tokenCounting: config.tokenCounting,
     });
     return { mode: 'canonical', response, behavior: behaviorName };
 }
 
-function buildBehaviorResponse({ config, behavior, inputText, lastUserMessage, requestBody, headers, behaviorEntry }) {
+function buildBehaviorResponse(options) {
+    const { config, behavior, inputText, lastUserMessage, behaviorEntry } = options;
     const normalized = String(behavior || config.defaultBehavior || 'Echo').trim();
     const behaviorKey = normalized.toLowerCase();
 
     if (behaviorKey === 'robot') {
         const script = resolveRobotScript({ behaviorEntry, config });
         const resultText = matchRobotScript(script, lastUserMessage || inputText || '');
-        const response = { content: resultText };
-        attachToolCalls(response, requestBody, headers, lastUserMessage || inputText);
-        response.usage = buildUsage({
-            response,
-            inputText,
-            lastUserMessage,
-            tokenCounting: config.tokenCounting,
-        });
+        const response = finalizeResponse({ content: resultText }, options);
         return { mode: 'canonical', response, behavior: normalized };
     }
 
     if (behaviorKey === 'weirdo') {
-        const response = {
+        const response = finalizeResponse({
             content: 'asdkjhasd kajshd aksjdh asdkjhasd kajshd aksjdh',
-        };
-        attachToolCalls(response, requestBody, headers, lastUserMessage || inputText);
-        response.usage = buildUsage({
-            response,
-            inputText,
-            lastUserMessage,
+        }, {
+            ...options,
             usageOverrides: { output: 999999 },
-            tokenCounting: config.tokenCounting,
         });
         return { mode: 'canonical', response, behavior: normalized };
     }
 
     if (behaviorKey === 'thinker') {
-        const response = {
+        const response = finalizeResponse({
             content: 'Here is my thoughtful response.',
             reasoning: 'Thinking through the problem in a concise summary.',
-        };
-        attachToolCalls(response, requestBody, headers, lastUserMessage || inputText);
-        response.usage = buildUsage({
-            response,
-            inputText,
-            lastUserMessage,
-            tokenCounting: config.tokenCounting,
-        });
+        }, options);
         return { mode: 'canonical', response, behavior: normalized };
     }
 
-    const response = {
-        content: lastUserMessage || inputText || '',
-    };
-    attachToolCalls(response, requestBody, headers, lastUserMessage || inputText);
+    const response = finalizeResponse({ content: lastUserMessage || inputText || '' }, options);
+    return { mode: 'canonical', response, behavior: normalized };
+}
+
+function finalizeResponse(response, options) {
+    const { config, inputText, lastUserMessage, requestBody, headers, toolResult, seed, usageOverrides } = options;
+    const choiceIndex = options.choiceIndex || 0;
+    attachToolCalls(response, {
+        requestBody,
+        headers,
+        userInput: lastUserMessage || inputText,
+        toolResult,
+        seed,
+        choiceIndex,
+    });
+    applyStructuredOutput(response, requestBody, seed, choiceIndex);
+    response.stop_reason = normalizeStopReason(response.stop_reason)
+        || (response.tool_calls?.length ? 'tool_calls' : 'stop');
+    applyGenerationLimits(response, requestBody, config.tokenCounting);
     response.usage = buildUsage({
         response,
         inputText,
         lastUserMessage,
+        usageOverrides,
         tokenCounting: config.tokenCounting,
     });
+    return response;
+}
 
-    return { mode: 'canonical', response, behavior: normalized };
+function normalizeStopReason(value) {
+    if (!value) return null;
+    const normalized = String(value).trim().toLowerCase();
+    return STOP_REASON_ALIASES[normalized] || (STOP_REASONS.has(normalized) ? normalized : null);
+}
+
+function applyGenerationLimits(response, requestBody, tokenCounting) {
+    const { maxTokens, stopSequences } = extractGenerationLimits(requestBody);
+    const content = String(response.content ?? '');
+
+    let stopAt = -1;
+    for (const sequence of stopSequences) {
+        const index = content.indexOf(sequence);
+        if (index !== -1 && (stopAt === -1 || index < stopAt)) {
+            stopAt = index;
+            response.stop_sequence = sequence;
+        }
+    }
+    if (stopAt !== -1) {
+        response.content = content.slice(0, stopAt);
+        // Tool calls and explicit directive stop reasons win; the sequence only trims the text.
+        if (response.tool_calls?.length || response.stop_reason !== 'stop') {
+            delete response.stop_sequence;
+        } else {
+            response.stop_reason = 'stop_sequence';
+        }
+    }
+
+    if (maxTokens === null) return;
+    const reasoningTokens = countTokens(response.reasoning, tokenCounting);
+    if (reasoningTokens > maxTokens) {
+        response.reasoning = truncateToTokens(response.reasoning, maxTokens, tokenCounting);
+        response.content = '';
+        delete response.tool_calls;
+        response.stop_reason = 'length';
+        return;
+    }
+    const remaining = maxTokens - reasoningTokens;
+    const contentTokens = countTokens(response.content, tokenCounting);
+    if (contentTokens > remaining) {
+        response.content = truncateToTokens(response.content, remaining, tokenCounting);
+        delete response.tool_calls;
+        delete response.stop_sequence;
+        response.stop_reason = 'length';
+        return;
+    }
+    const argumentTokens = toArray(response.tool_calls)
+        .reduce((sum, call) => sum + countTokens(JSON.stringify(call.arguments ?? {}), tokenCounting), 0);
+    if (contentTokens + argumentTokens > remaining) {
+        delete response.tool_calls;
+        delete response.stop_sequence;
+        response.stop_reason = 'length';
+    }
+}
+
+function applyStructuredOutput(response, requestBody, seed = '', choiceIndex = 0) {
+    if (response.tool_calls?.length) return;
+    const schema = extractResponseSchema(requestBody);
+    if (!schema) return;
+
+    const existing = safeJsonParse(response.content);
+    if (existing !== null && validateAgainstSchema(existing, schema)) return;
+
+    const random = createSeededRandom(`${seed}:response_format:${choiceIndex}`);
+    response.content = JSON.stringify(generateFromSchema(schema, { random, userInput: response.content }));
+}
+
+function buildChunkingFields(resolved, chunks) {
+    const fields = {};
+    if (chunks) {
+        fields.content_chunks = chunks;
+    }
+    if (resolved.chunk_size !== undefined || resolved.chunk_unit !== undefined) {
+        fields.chunking = {
+            size: parseInteger(resolved.chunk_size, undefined),
+            unit: resolved.chunk_unit ? normalizeChunkUnit(resolved.chunk_unit) : undefined,
+        };
+    }
+    return fields;
+}
+
+function resolveSequenceTurn({ requestBody, headers, sessionStore, sequenceKey, choiceIndex }) {
+    const sessionId = normalizeHeaderValue(headers['x-session-id']);
+    if (sessionId && sessionStore) {
+        const key = `sequence:${sessionId}:${sequenceKey}`;
+        if (choiceIndex > 0) return sessionStore.current(key);
+        const { fingerprint, isRetry } = identifyAttempt(requestBody, headers, sessionStore);
+        return sessionStore.nextAttempt(key, fingerprint, isRetry);
+    }
+    return countAssistantTurns(requestBody);
+}
+
+// SDKs resend the same body with `x-stainless-retry-count` > 0, or reuse an `Idempotency-Key`. The first request
+// seen with a key is a fresh attempt; only repeats of that key are retries.
+function identifyAttempt(requestBody, headers, sessionStore) {
+    const idempotencyKey = normalizeHeaderValue(headers['idempotency-key']);
+    if (idempotencyKey) {
+        const fingerprint = `idempotency:${idempotencyKey}`;
+        return { fingerprint, isRetry: sessionStore.next(fingerprint) > 0 };
+    }
+    return {
+        fingerprint: `body:${hashString(JSON.stringify(requestBody ?? {}))}`,
+        isRetry: parseInteger(normalizeHeaderValue(headers['x-stainless-retry-count']), 0) > 0,
+    };
 }
 
 function normalizeDirective(directive) {
@@ -202,6 +378,16 @@ function normalizeDirective(directive) {
     return directive;
 }
 
+function combineUsage(choices) {
+    const usage = { ...choices[0].usage };
+    for (const field of ['output', 'reasoning']) {
+        if (choices.some((choice) => choice.usage?.[field] !== undefined)) {
+            usage[field] = choices.reduce((sum, choice) => sum + (choice.usage?.[field] ?? 0), 0);
+        }
+    }
+    return usage;
+}
+
 function buildUsage({ response, inputText, lastUserMessage, usageOverrides, tokenCounting }) {
     const inputTokens = combineTokens(inputText, tokenCounting);
     const outputTokens = combineTokens(
@@ -265,64 +451,102 @@ function matchRobotScript(script, userInput) {
 }
 
 function isRegexMatch(pattern, userInput) {
-    if (typeof pattern !== 'string') return false;
-    if (!pattern.startsWith('/') || pattern.lastIndexOf('/') === 0) return false;
-    const lastSlash = pattern.lastIndexOf('/');
-    const body = pattern.slice(1, lastSlash);
-    const flags = pattern.slice(lastSlash + 1);
-    try {
-        const regex = new RegExp(body, flags);
-        return regex.test(userInput);
-    } catch {
-        return false;
-    }
+    const regex = parseRegexLiteral(pattern);
+    return regex ? regex.test(userInput) : false;
 }
 
-function buildToolCallsFromRequest({ requestBody, headers, userInput }) {
-    const toolHeader = headers['x-tool-result'];
-    const forcedArgs = safeJsonParse(toolHeader);
+function buildToolCallsFromRequest({ requestBody, headers, userInput, toolResult, seed = '', choiceIndex = 0 }) {
+    const forcedArgs = safeJsonParse(normalizeHeaderValue(headers['x-tool-result']));
+    const forcedName = normalizeHeaderValue(headers['x-tool-name']);
+    const requestedCount = parseInteger(normalizeHeaderValue(headers['x-tool-calls']), null);
 
-    const toolChoice = requestBody?.tool_choice || requestBody?.toolChoice;
     const tools = requestBody?.tools || requestBody?.functions;
-    const toolConfig = requestBody?.toolConfig;
+    const policy = resolveToolPolicy(requestBody, listToolNames(tools));
+    if (policy.mode === 'none' || (policy.names.length === 0 && !forcedName)) return [];
 
-    const toolName = resolveToolName(toolChoice, tools, toolConfig);
-    if (!toolName) return [];
+    let candidates = forcedName ? [forcedName] : policy.names;
+    if (policy.mode === 'auto' && !forcedName && !forcedArgs && !requestedCount) {
+        candidates = toolResult ? [] : candidates.filter((name) => isToolMentioned(name, userInput));
+    }
+    if (candidates.length === 0) return [];
 
-    const args = forcedArgs || { input: userInput || '' };
-    return [
-        {
+    const count = policy.parallel ? Math.max(requestedCount || 1, 1) : 1;
+    const toolCalls = [];
+    for (let index = 0; index < count; index += 1) {
+        const toolName = candidates[index % candidates.length];
+        toolCalls.push({
             id: generateId('tool'),
             name: toolName,
-            arguments: args,
-        },
-    ];
+            arguments: forcedArgs || buildToolArguments({
+                tools,
+                toolName,
+                userInput,
+                seed,
+                seedKey: `${choiceIndex}:${index}`,
+            }),
+        });
+    }
+    return toolCalls;
 }
 
-function resolveToolName(toolChoice, tools, toolConfig) {
-    if (toolChoice === 'none' || toolChoice?.type === 'none') return null;
-    if (toolChoice?.function?.name) return toolChoice.function.name;
-    if (toolChoice?.type === 'tool' && toolChoice?.name) return toolChoice.name;
-    if (typeof toolChoice === 'string' && toolChoice !== 'auto' && toolChoice !== 'required') {
-        return toolChoice;
+function buildToolArguments({ tools, toolName, userInput, seed, seedKey }) {
+    const schema = findToolSchema(tools, toolName);
+    if (!schema) {
+        return { input: userInput || '' };
     }
+    const random = createSeededRandom(`${seed}:${toolName}:${seedKey}`);
+    return generateFromSchema(schema, { random, userInput });
+}
 
-    const allowed = toolConfig?.functionCallingConfig?.allowedFunctionNames;
-    if (Array.isArray(allowed) && allowed.length > 0) {
-        return allowed[0];
+function findToolSchema(tools, toolName) {
+    for (const tool of toArray(tools)) {
+        if (tool?.function?.name === toolName) return tool.function.parameters || null;
+        if (tool?.name === toolName) return tool.parameters || tool.input_schema || null;
+        for (const decl of toArray(tool?.functionDeclarations)) {
+            if (decl?.name === toolName) return decl.parameters || decl.parametersJsonSchema || null;
+        }
     }
+    return null;
+}
 
-    if (Array.isArray(tools) && tools.length > 0) {
-        const first = tools[0];
-        if (first?.function?.name) return first.function.name;
-        if (first?.name) return first.name;
-        if (Array.isArray(first?.functionDeclarations) && first.functionDeclarations.length > 0) {
-            const decl = first.functionDeclarations[0];
-            if (decl?.name) return decl.name;
-        }
+// Normalizes OpenAI tool_choice/function_call, Anthropic tool_choice and Gemini
+// functionCallingConfig into { mode: 'none' | 'auto' | 'required', names, parallel }.
+function resolveToolPolicy(requestBody, declaredNames) {
+    const toolChoice = requestBody?.tool_choice ?? requestBody?.toolChoice ?? requestBody?.function_call;
+    const callingConfig = requestBody?.toolConfig?.functionCallingConfig;
+    const parallel = requestBody?.parallel_tool_calls !== false && toolChoice?.disable_parallel_tool_use !== true;
+    const policy = (mode, names = declaredNames) => ({ mode, names, parallel });
+
+    if (toolChoice === 'none' || toolChoice?.type === 'none') return policy('none');
+    if (toolChoice?.function?.name) return policy('required', [toolChoice.function.name]);
+    if (toolChoice?.type === 'function' && toolChoice?.name) return policy('required', [toolChoice.name]);
+    if (toolChoice?.type === 'tool' && toolChoice?.name) return policy('required', [toolChoice.name]);
+    if (toolChoice?.name && !toolChoice?.type) return policy('required', [toolChoice.name]);
+    if (toolChoice === 'required' || toolChoice?.type === 'any') return policy('required');
+    if (typeof toolChoice === 'string' && toolChoice !== 'auto') return policy('required', [toolChoice]);
+
+    if (callingConfig) {
+        const mode = String(callingConfig.mode || 'AUTO').toUpperCase();
+        const allowed = toArray(callingConfig.allowedFunctionNames);
+        const names = allowed.length > 0 ? allowed : declaredNames;
+        if (mode === 'NONE') return policy('none');
+        if (mode === 'ANY' || mode === 'VALIDATED') return policy('required', names);
+        return policy('auto', names);
     }
 
-    return null;
+    return policy('auto');
+}
+
+// The whole tool name must appear, either as written (`read_file`) or with its separators and camel case spelled
+// as spaces ("read file"), so incidental words in the message do not trigger calls.
+function isToolMentioned(toolName, userInput) {
+    const text = String(userInput || '').toLowerCase();
+    if (!text) return false;
+    const name = String(toolName);
+    const spelled = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    if (spelled.length === 0) return text.includes(name.toLowerCase());
+    const forms = [name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), spelled.join('\\s+')];
+    return forms.some((form) => new RegExp(`(^|[^a-z0-9_])${form}($|[^a-z0-9_])`).test(text));
 }
 
 function normalizeToolCalls(toolCalls) {
@@ -334,9 +558,17 @@ function normalizeToolCalls(toolCalls) {
     }));
 }
 
-function attachToolCalls(response, requestBody, headers, userInput) {
-    if (response.tool_calls && response.tool_calls.length) return;
-    const toolCalls = buildToolCallsFromRequest({ requestBody, headers, userInput });
+function attachToolCalls(response, { requestBody, headers, userInput, toolResult, seed, choiceIndex }) {
+    if (response.tool_calls && response.tool_calls.length) {
+        const policy = resolveToolPolicy(requestBody, []);
+        if (policy.mode === 'none') {
+            delete response.tool_calls;
+        } else if (!policy.parallel) {
+            response.tool_calls = response.tool_calls.slice(0, 1);
+        }
+        return;
+    }
+    const toolCalls = buildToolCallsFromRequest({ requestBody, headers, userInput, toolResult, seed, choiceIndex });
     if (toolCalls.length) {
         response.tool_calls = toolCalls;
     }
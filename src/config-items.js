@@ -8,6 +8,10 @@ const DEFAULT_LATENCY_MS = 0;
 const DEFAULT_ERROR_RATE = 0;
 const DEFAULT_BEHAVIOR = 'Echo';
 const DEFAULT_TOKEN_COUNTING = 'chars';
+const DEFAULT_STREAM_CHUNK_SIZE = 4;
+const DEFAULT_STREAM_CHUNK_UNIT = 'chars';
+const DEFAULT_REQUEST_LOG_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_REQUEST_LOG_REDACT = ['authorization', 'x-api-key', 'x-goog-api-key', 'api-key', 'cookie', 'key'];
 
 function normalizeTokenCounting(value) {
     if (!value) return DEFAULT_TOKEN_COUNTING;
@@ -16,6 +20,13 @@ function normalizeTokenCounting(value) {
     return 'chars';
 }
 
+export function normalizeChunkUnit(value) {
+    if (!value) return DEFAULT_STREAM_CHUNK_UNIT;
+    const normalized = String(value).trim().toLowerCase();
+    if (normalized === 'words' || normalized === 'word') return 'words';
+    return 'chars';
+}
+
 function parseString(envValue, fileValue, fallback) {
     if (envValue !== undefined && envValue !== null && envValue !== '') {
         return String(envValue);
@@ -43,6 +54,16 @@ function parseTokenCounting(envValue, fileValue, fallback) {
     return normalizeTokenCounting(raw);
 }
 
+function parseChunkUnit(envValue, fileValue, fallback) {
+    return normalizeChunkUnit(envValue || fileValue || fallback);
+}
+
+function parseList(envValue, fileValue, fallback) {
+    const raw = envValue || fileValue || fallback;
+    const items = Array.isArray(raw) ? raw : String(raw ?? '').split(',');
+    return items.map((item) => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
 export const CONFIG_ITEMS = [
     {
         key: 'host',
@@ -92,6 +113,22 @@ export const CONFIG_ITEMS = [
         note: 'usage calculation',
         parse: parseTokenCounting,
     },
+    {
+        key: 'stream_chunk_size',
+        prop: 'streamChunkSize',
+        env: 'STREAM_CHUNK_SIZE',
+        defaultValue: DEFAULT_STREAM_CHUNK_SIZE,
+        note: 'units per streamed chunk',
+        parse: parseIntegerConfig,
+    },
+    {
+        key: 'stream_chunk_unit',
+        prop: 'streamChunkUnit',
+        env: 'STREAM_CHUNK_UNIT',
+        defaultValue: DEFAULT_STREAM_CHUNK_UNIT,
+        note: 'chars or words',
+        parse: parseChunkUnit,
+    },
     {
         key: 'embedding_size',
         prop: 'embeddingSize',
@@ -116,6 +153,62 @@ export const CONFIG_ITEMS = [
         note: 'random error injection',
         parse: parseNumberConfig,
     },
+    {
+        key: 'random_seed',
+        prop: 'randomSeed',
+        env: 'RANDOM_SEED',
+        defaultValue: null,
+        note: 'seed for reproducible runs (empty = unseeded)',
+        parse: parseString,
+    },
+    {
+        key: 'rate_limit_rpm',
+        prop: 'rateLimitRpm',
+        env: 'RATE_LIMIT_RPM',
+        defaultValue: 0,
+        note: 'requests per minute per API key (0 = off)',
+        parse: parseIntegerConfig,
+    },
+    {
+        key: 'rate_limit_tpm',
+        prop: 'rateLimitTpm',
+        env: 'RATE_LIMIT_TPM',
+        defaultValue: 0,
+        note: 'tokens per minute per API key (0 = off)',
+        parse: parseIntegerConfig,
+    },
+    {
+        key: 'request_log',
+        prop: 'requestLog',
+        env: 'REQUEST_LOG',
+        defaultValue: null,
+        note: 'JSONL traffic log path (empty = off)',
+        parse: parseString,
+    },
+    {
+        key: 'request_log_max_bytes',
+        prop: 'requestLogMaxBytes',
+        env: 'REQUEST_LOG_MAX_BYTES',
+        defaultValue: DEFAULT_REQUEST_LOG_MAX_BYTES,
+        note: 'rotate the traffic log past this size (0 = never)',
+        parse: parseIntegerConfig,
+    },
+    {
+        key: 'request_log_max_age_minutes',
+        prop: 'requestLogMaxAgeMinutes',
+        env: 'REQUEST_LOG_MAX_AGE_MINUTES',
+        defaultValue: 0,
+        note: 'rotate the traffic log after this age (0 = never)',
+        parse: parseNumberConfig,
+    },
+    {
+        key: 'request_log_redact',
+        prop: 'requestLogRedact',
+        env: 'REQUEST_LOG_REDACT',
+        defaultValue: DEFAULT_REQUEST_LOG_REDACT,
+        note: 'header and query parameter names masked in the traffic log',
+        parse: parseList,
+    },
     {
         key: 'enable_gemini_openai_compat',
         prop: 'enableGeminiOpenAiCompat',
@@ -128,12 +221,14 @@ export const CONFIG_ITEMS = [
 
 function formatConfigValue(value) {
     if (typeof value === 'boolean') return value ? 'true' : 'false';
+    if (Array.isArray(value)) return value.join(',');
     if (value === null || value === undefined) return '';
     return String(value);
 }
 
 function formatYamlValue(value) {
     if (typeof value === 'boolean') return value ? 'true' : 'false';
+    if (Array.isArray(value)) return `[${value.map((item) => formatYamlValue(item)).join(', ')}]`;
     if (value === null || value === undefined) return 'null';
     if (typeof value === 'number') return String(value);
     const text = String(value);
@@ -172,6 +267,9 @@ export function buildFullConfigYaml(config) {
     for (const item of CONFIG_ITEMS) {
         payload[item.key] = config?.[item.prop];
     }
+    if (config?.latencyProfile) {
+        payload.latency = config.latencyProfile;
+    }
     payload.models = config?.modelsConfig || {};
     return yaml.dump(payload, { noRefs: true, lineWidth: 120 });
 }
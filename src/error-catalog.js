@@ -0,0 +1,162 @@
+import { hashString, normalizeHeaderValue, parseBoolean, parseInteger, parseNumber } from './utils.js';
+
+const STATUS_ERRORS = {
+    400: { openai: 'invalid_request_error', anthropic: 'invalid_request_error', gemini: 'INVALID_ARGUMENT' },
+    401: {
+        openai: 'invalid_request_error',
+        openaiCode: 'invalid_api_key',
+        anthropic: 'authentication_error',
+        gemini: 'UNAUTHENTICATED',
+    },
+    402: { openai: 'invalid_request_error', anthropic: 'billing_error', gemini: 'FAILED_PRECONDITION' },
+    403: { openai: 'invalid_request_error', anthropic: 'permission_error', gemini: 'PERMISSION_DENIED' },
+    404: { openai: 'invalid_request_error', anthropic: 'not_found_error', gemini: 'NOT_FOUND' },
+    413: { openai: 'invalid_request_error', anthropic: 'request_too_large', gemini: 'INVALID_ARGUMENT' },
+    429: {
+        openai: 'requests',
+        openaiCode: 'rate_limit_exceeded',
+        anthropic: 'rate_limit_error',
+        gemini: 'RESOURCE_EXHAUSTED',
+    },
+    500: { openai: 'server_error', anthropic: 'api_error', gemini: 'INTERNAL' },
+    503: { openai: 'server_error', anthropic: 'api_error', gemini: 'UNAVAILABLE' },
+    504: { openai: 'server_error', anthropic: 'timeout_error', gemini: 'DEADLINE_EXCEEDED' },
+    529: { openai: 'server_error', anthropic: 'overloaded_error', gemini: 'UNAVAILABLE' },
+};
+
+// Named errors accepted in `x-error`, `simulate_error` and error directives (`code`).
+const NAMED_ERRORS = {
+    invalid_request_error: { status: 400 },
+    authentication_error: { status: 401, message: 'Invalid API key' },
+    permission_error: { status: 403, message: 'Permission denied' },
+    not_found_error: { status: 404, message: 'Not found' },
+    rate_limit_error: { status: 429, message: 'Rate limit exceeded' },
+    insufficient_quota: {
+        status: 429,
+        message: 'You exceeded your current quota, please check your plan and billing details.',
+        openai: 'insufficient_quota',
+        openaiCode: 'insufficient_quota',
+    },
+    context_length_exceeded: {
+        status: 400,
+        message: 'This model\'s maximum context length was exceeded.',
+        openaiCode: 'context_length_exceeded',
+        param: 'messages',
+    },
+    api_error: { status: 500, message: 'Internal server error' },
+    timeout_error: { status: 504, message: 'Request timed out' },
+    overloaded_error: { status: 529, message: 'Overloaded' },
+    INVALID_ARGUMENT: { status: 400 },
+    UNAUTHENTICATED: { status: 401, message: 'API key not valid' },
+    PERMISSION_DENIED: { status: 403, message: 'Permission denied' },
+    NOT_FOUND: { status: 404, message: 'Not found' },
+    RESOURCE_EXHAUSTED: { status: 429, message: 'Resource has been exhausted (e.g. check quota).' },
+    INTERNAL: { status: 500, message: 'An internal error has occurred.' },
+    UNAVAILABLE: { status: 503, message: 'The model is overloaded. Please try again later.' },
+    DEADLINE_EXCEEDED: { status: 504, message: 'Deadline exceeded' },
+};
+
+export function normalizeErrorDirective(directive, { fallbackStatus = 400, fallbackMessage = 'Simulated error' } = {}) {
+    const spec = typeof directive === 'object' && directive !== null ? directive : { status: directive };
+    const named = [spec.code, spec.status].find((value) => typeof value === 'string' && NAMED_ERRORS[value]) ?? null;
+    const status = parseInteger(spec.status, null) || NAMED_ERRORS[named]?.status || fallbackStatus;
+
+    return {
+        status,
+        code: named,
+        message: spec.message || NAMED_ERRORS[named]?.message || fallbackMessage,
+        retryAfterMs: readRetryAfterMs(spec),
+        shouldRetry: spec.should_retry === undefined ? null : parseBoolean(spec.should_retry, null),
+    };
+}
+
+// Fails the first `failures` attempts of the same logical request, then returns null so it can succeed.
+export function resolveFlakyError(directive, { headers = {}, requestBody, sessionStore, scope = '' }) {
+    if (!sessionStore) return null;
+    const failures = Math.max(parseInteger(directive.failures, 1), 0);
+    const attemptKey = resolveAttemptKey(directive.key, headers, requestBody);
+    const attempt = sessionStore.next(`flaky:${scope}:${attemptKey}`);
+    if (attempt >= failures) return null;
+    return normalizeErrorDirective(directive, {
+        fallbackStatus: 503,
+        fallbackMessage: `Simulated flaky failure (attempt ${attempt + 1} of ${failures})`,
+    });
+}
+
+// Expands the `flaky[:failures[:status]]` form accepted by `x-error` and `simulate_error` into a flaky directive.
+export function expandFlakyShorthand(value) {
+    if (typeof value !== 'string') return value;
+    const match = /^flaky(?::(\d*))?(?::(\w+))?$/i.exec(value.trim());
+    if (!match) return value;
+    return {
+        type: 'flaky',
+        ...(match[1] ? { failures: match[1] } : {}),
+        ...(match[2] ? { status: match[2] } : {}),
+    };
+}
+
+export function buildErrorBody(provider, { status, message, param = null, code = null, retryAfterMs = null }) {
+    const named = NAMED_ERRORS[code];
+    const entry = STATUS_ERRORS[status] || STATUS_ERRORS[status >= 500 ? 500 : 400];
+
+    if (provider === 'anthropic') {
+        return { type: 'error', error: { type: named?.anthropic || entry.anthropic, message } };
+    }
+    if (provider === 'gemini') {
+        const details = retryAfterMs === null
+            ? undefined
+            : [{
+                '@type': 'type.googleapis.com/google.rpc.RetryInfo',
+                retryDelay: `${Math.ceil(retryAfterMs / 1000)}s`,
+            }];
+        return {
+            error: {
+                code: status,
+                message,
+                status: named?.gemini || entry.gemini,
+                ...(details ? { details } : {}),
+            },
+        };
+    }
+    return {
+        error: {
+            message,
+            type: named?.openai || entry.openai,
+            param: param ?? named?.param ?? null,
+            code: (named ? named.openaiCode : code) ?? entry.openaiCode ?? null,
+        },
+    };
+}
+
+export function buildRetryHeaders({ retryAfterMs = null, shouldRetry = null } = {}) {
+    const headers = {};
+    if (retryAfterMs !== null) {
+        headers['retry-after'] = String(Math.ceil(retryAfterMs / 1000));
+        headers['retry-after-ms'] = String(retryAfterMs);
+    }
+    if (shouldRetry !== null) {
+        headers['x-should-retry'] = shouldRetry ? 'true' : 'false';
+    }
+    return headers;
+}
+
+function resolveAttemptKey(mode = 'auto', headers, requestBody) {
+    const idempotencyKey = normalizeHeaderValue(headers['idempotency-key']);
+    const sessionId = normalizeHeaderValue(headers['x-session-id']);
+    const bodyHash = `body:${hashString(JSON.stringify(requestBody ?? {}))}`;
+
+    if (mode === 'idempotency_key') return idempotencyKey ? `idempotency:${idempotencyKey}` : bodyHash;
+    if (mode === 'session') return sessionId ? `session:${sessionId}` : bodyHash;
+    if (mode === 'body') return bodyHash;
+    if (idempotencyKey) return `idempotency:${idempotencyKey}`;
+    if (sessionId) return `session:${sessionId}`;
+    return bodyHash;
+}
+
+function readRetryAfterMs(spec) {
+    const ms = parseNumber(spec.retry_after_ms, null);
+    if (ms !== null && ms >= 0) return Math.round(ms);
+    const seconds = parseNumber(spec.retry_after, null);
+    if (seconds !== null && seconds >= 0) return Math.round(seconds * 1000);
+    return null;
+}
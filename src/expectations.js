@@ -0,0 +1,130 @@
+import { compileTriggerMatcher } from './model-config.js';
+import { generateId, normalizeHeaderValue, parseInteger, toArray } from './utils.js';
+
+const MATCH_FIELDS = ['path', 'model', 'message', 'tools', 'headers'];
+
+export class ExpectationStore {
+    constructor() {
+        this.expectations = [];
+    }
+
+    // Validates every spec before registering any of them, so a bad batch leaves the store untouched.
+    add(specs) {
+        const added = toArray(specs).map((spec) => compileExpectation(spec));
+        this.expectations.push(...added);
+        return added.map((expectation) => describe(expectation));
+    }
+
+    list() {
+        return this.expectations.map((expectation) => describe(expectation));
+    }
+
+    observe(request) {
+        for (const expectation of this.expectations) {
+            if (expectation.matches(request)) {
+                expectation.requestIds.push(request.id);
+            }
+        }
+    }
+
+    verify() {
+        const report = { ok: true, met: [], unmet: [], violated: [] };
+        for (const expectation of this.expectations) {
+            const count = expectation.requestIds.length;
+            const { min, max } = expectation.range;
+            if (max !== null && count > max) report.violated.push(describe(expectation));
+            else if (count < min) report.unmet.push(describe(expectation));
+            else report.met.push(describe(expectation));
+        }
+        report.ok = report.unmet.length === 0 && report.violated.length === 0;
+        return report;
+    }
+
+    clear() {
+        const count = this.expectations.length;
+        this.expectations = [];
+        return count;
+    }
+}
+
+function compileExpectation(spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error('Each expectation must be an object');
+    }
+    const matchers = [];
+    if (spec.path !== undefined) {
+        const matchPath = compileTriggerMatcher(spec.path, { implicitGlob: true });
+        matchers.push((request) => matchPath(request.path ?? ''));
+    }
+    if (spec.model !== undefined) {
+        const matchModel = compileTriggerMatcher(spec.model, { implicitGlob: true });
+        matchers.push((request) => [request.model, request.resolvedModel].some((model) => model && matchModel(model)));
+    }
+    if (spec.message !== undefined) {
+        const matchMessage = compileTriggerMatcher(spec.message);
+        matchers.push((request) => matchMessage(request.message ?? '', request.toolResult ?? null));
+    }
+    if (spec.tools !== undefined) {
+        const required = toArray(spec.tools).map(String);
+        matchers.push((request) => required.every((name) => toArray(request.tools).includes(name)));
+    }
+    if (spec.headers !== undefined) {
+        if (!spec.headers || typeof spec.headers !== 'object') {
+            throw new Error('Expectation headers must be an object of header name to pattern');
+        }
+        const headerMatchers = Object.entries(spec.headers)
+            .map(([name, pattern]) => [name.toLowerCase(), compileTriggerMatcher(pattern, { implicitGlob: true })]);
+        matchers.push((request) => headerMatchers.every(([name, matchHeader]) => {
+            const value = normalizeHeaderValue(request.headers?.[name]);
+            return value !== undefined && value !== null && matchHeader(String(value));
+        }));
+    }
+
+    const definition = Object.fromEntries(MATCH_FIELDS.filter((field) => spec[field] !== undefined)
+        .map((field) => [field, spec[field]]));
+    return {
+        id: spec.id ? String(spec.id) : generateId('exp'),
+        definition,
+        range: parseTimes(spec.times),
+        times: spec.times ?? { at_least: 1 },
+        requestIds: [],
+        matches: (request) => matchers.every((matcher) => matcher(request)),
+    };
+}
+
+// `times` is an exact count or { exactly, at_least, at_most }; omitted means at least once.
+function parseTimes(times) {
+    if (times === undefined || times === null) return { min: 1, max: null };
+    if (typeof times !== 'object') {
+        const exactly = parseCount(times, 'times');
+        return { min: exactly, max: exactly };
+    }
+    if (times.exactly !== undefined) {
+        const exactly = parseCount(times.exactly, 'times.exactly');
+        return { min: exactly, max: exactly };
+    }
+    const min = times.at_least === undefined ? 0 : parseCount(times.at_least, 'times.at_least');
+    const max = times.at_most === undefined ? null : parseCount(times.at_most, 'times.at_most');
+    if (max !== null && max < min) {
+        throw new Error('times.at_most must not be lower than times.at_least');
+    }
+    return { min, max };
+}
+
+function parseCount(value, name) {
+    const count = parseInteger(value, null);
+    if (count === null || count < 0) {
+        throw new Error(`${name} must be a non-negative integer`);
+    }
+    return count;
+}
+
+function describe(expectation) {
+    return {
+        id: expectation.id,
+        expectation: expectation.definition,
+        times: expectation.times,
+        count: expectation.requestIds.length,
+        request_ids: [...expectation.requestIds],
+    };
+}
@@ -0,0 +1,86 @@
+import { createSeededRandom, parseNumber } from './utils.js';
+
+const LONG_TAIL_PROBABILITY = 0.01;
+
+export function mergeLatencyProfiles(...profiles) {
+    const merged = {};
+    for (const profile of profiles) {
+        if (!profile || typeof profile !== 'object') continue;
+        Object.assign(merged, profile);
+    }
+    return Object.keys(merged).length > 0 ? merged : null;
+}
+
+// Returns the wait before each event. Only content events (text, reasoning and tool-argument deltas)
+// take time: time-to-first-token before the first one, then the generation time spread over the gaps
+// between the rest, so without jitter a stream ends after the same total as calculateLatencyTotal.
+export function buildLatencySchedule(profile, { contentEvents, outputTokens = 0, baseDelayMs = 0, seed = null }) {
+    if (contentEvents.length === 0) return [];
+    const random = createLatencyRandom(profile, seed);
+    const contentIndexes = contentEvents.flatMap((isContent, index) => (isContent ? [index] : []));
+    const first = contentIndexes[0] ?? 0;
+    const gaps = contentIndexes.length > 1
+        ? contentIndexes.slice(1)
+        : [Math.min(first + 1, contentEvents.length - 1)];
+    const interval = resolveGenerationMs(profile, outputTokens) / gaps.length;
+
+    const waits = contentEvents.map(() => 0);
+    waits[first] += Math.max(baseDelayMs + readPositive(profile.ttft_ms) + sampleJitter(profile.jitter, random), 0);
+    for (const index of gaps) {
+        waits[index] += Math.max(interval + sampleJitter(profile.jitter, random), 0);
+    }
+
+    let elapsed = 0;
+    let scheduled = 0;
+    return waits.map((wait) => {
+        elapsed += wait;
+        const next = Math.round(elapsed);
+        const gap = next - scheduled;
+        scheduled = next;
+        return gap;
+    });
+}
+
+export function calculateLatencyTotal(profile, { outputTokens = 0, baseDelayMs = 0, seed = null }) {
+    const random = createLatencyRandom(profile, seed);
+    const total = baseDelayMs + readPositive(profile.ttft_ms) + resolveGenerationMs(profile, outputTokens)
+        + sampleJitter(profile.jitter, random);
+    return Math.max(Math.round(total), 0);
+}
+
+// Unseeded requests get fresh jitter each time, like unseeded error_rate rolls.
+function createLatencyRandom(profile, seed) {
+    const source = profile.seed ?? seed;
+    return source === null || source === undefined ? Math.random : createSeededRandom(`${source}:latency`);
+}
+
+function resolveGenerationMs(profile, outputTokens) {
+    const tokensPerSecond = readPositive(profile.tokens_per_second);
+    if (profile.inter_token_ms === undefined && tokensPerSecond > 0) {
+        return (outputTokens / tokensPerSecond) * 1000;
+    }
+    return readPositive(profile.inter_token_ms) * outputTokens;
+}
+
+function sampleJitter(jitter, random) {
+    if (!jitter) return 0;
+    const spec = typeof jitter === 'number' ? { distribution: 'uniform', ms: jitter } : jitter;
+    const amount = readPositive(spec.ms);
+    const distribution = String(spec.distribution || 'uniform').toLowerCase().replace(/-/g, '_');
+
+    if (distribution === 'normal') {
+        const u1 = Math.max(random(), Number.EPSILON);
+        const u2 = random();
+        return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2) * amount;
+    }
+    if (distribution === 'long_tail') {
+        const spike = random() < LONG_TAIL_PROBABILITY ? readPositive(spec.p99_ms) : 0;
+        return random() * amount + spike;
+    }
+    return (random() * 2 - 1) * amount;
+}
+
+function readPositive(value) {
+    const parsed = parseNumber(value, 0);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+}
@@ -1,4 +1,6 @@
-import { toArray } from './utils.js';
+import { parseRegexLiteral, toArray } from './utils.js';
+
+const MODEL_OPTIONS = ['latency', 'rate_limits'];
 
 export function normalizeModels(modelsConfig = {}) {
     const triggerModels = new Map();
@@ -25,6 +27,7 @@ export function normalizeModels(modelsConfig = {}) {
         if (modelValue && typeof modelValue === 'object') {
             if (Array.isArray(modelValue.triggers)) {
                 const parsed = parseTriggerList(modelValue.triggers, baseModels);
+                parsed.options = { ...pickModelOptions(modelValue), ...parsed.options };
                 triggerModels.set(modelName, parsed);
                 continue;
             }
@@ -34,6 +37,7 @@ export function normalizeModels(modelsConfig = {}) {
                     behavior: modelValue.behavior,
                     script: modelValue.script,
                     rules: modelValue.rules,
+                    options: pickModelOptions(modelValue),
                 });
                 continue;
             }
@@ -53,6 +57,7 @@ function parseTriggerList(list, baseModels) {
     const entries = [];
     let defaultEntry = null;
     let parent = null;
+    const options = {};
 
     for (const item of toArray(list)) {
         if (!item || typeof item !== 'object') {
@@ -67,6 +72,11 @@ function parseTriggerList(list, baseModels) {
             }
             continue;
         }
+        const option = MODEL_OPTIONS.find((name) => `_${name}` in item);
+        if (option) {
+            options[option] ??= item[`_${option}`];
+            continue;
+        }
         if ('_default' in item && !defaultEntry) {
             defaultEntry = { response: item._default };
             continue;
@@ -77,13 +87,47 @@ function parseTriggerList(list, baseModels) {
             continue;
         }
         const match = keys[0];
-        entries.push({ match, response: item[match] });
+        entries.push({ match, matcher: compileTriggerMatcher(match), response: item[match] });
+    }
+
+    return { entries, defaultEntry, parent, options };
+}
+
+export function resolveModelLatency(modelName, registry) {
+    return resolveModelOption(modelName, registry, 'latency');
+}
+
+export function resolveModelRateLimits(modelName, registry) {
+    return resolveModelOption(modelName, registry, 'rate_limits');
+}
+
+// Model-level options come from `_latency` / `_rate_limits` trigger items or from
+// `latency` / `rate_limits` keys of object-form models, and are inherited via `_inherit`.
+function resolveModelOption(modelName, registry, option) {
+    const behaviorModel = registry.behaviorModels.get(modelName);
+    if (behaviorModel) return behaviorModel.options[option] ?? null;
+
+    const visited = new Set();
+    let current = modelName;
+    while (current && !visited.has(current)) {
+        visited.add(current);
+        const model = registry.triggerModels.get(current);
+        if (!model) break;
+        if (model.options[option]) return model.options[option];
+        current = model.parent;
     }
+    return null;
+}
 
-    return { entries, defaultEntry, parent };
+function pickModelOptions(modelValue) {
+    const options = {};
+    for (const name of MODEL_OPTIONS) {
+        if (modelValue[name]) options[name] = modelValue[name];
+    }
+    return options;
 }
 
-export function resolveTriggerResponse(modelName, userMessage, registry) {
+export function resolveTriggerResponse(modelName, userMessage, registry, { toolResult } = {}) {
     const visited = new Set();
     let current = modelName;
     let fallback = null;
@@ -94,8 +138,9 @@ export function resolveTriggerResponse(modelName, userMessage, registry) {
         if (!model) break;
 
         for (const entry of model.entries) {
-            if (entry.match === userMessage) {
-                return { response: entry.response, model: current, isDefault: false };
+            const captures = entry.matcher(userMessage ?? '', toolResult);
+            if (captures) {
+                return { response: entry.response, model: current, match: entry.match, isDefault: false, captures };
             }
         }
 
@@ -109,6 +154,71 @@ export function resolveTriggerResponse(modelName, userMessage, registry) {
     return fallback;
 }
 
+// Trigger keys are exact strings unless they use one of these forms:
+//   /pattern/flags      regular expression
+//   contains:<text>     substring
+//   startsWith:<text>   prefix
+//   endsWith:<text>     suffix
+//   glob:<pattern>      whole-message wildcard match (* and ?)
+//   tool:<name>[:<form>] latest tool result, by tool name (exact, or a glob if it has * or ?)
+//                        and optionally content in any of the forms above
+// Plain keys with * or ? stay exact so questions like "What?" are not wildcards; `implicitGlob` opts names such as
+// paths and models into glob matching without the prefix.
+// A matcher returns the capture list (full match first) or null.
+export function compileTriggerMatcher(match, { implicitGlob = false } = {}) {
+    const pattern = String(match);
+
+    const toolTrigger = /^tool:([^:]*)(?::(.*))?$/s.exec(pattern);
+    if (toolTrigger) {
+        const matchName = compileTriggerMatcher(toolTrigger[1] || '*', { implicitGlob: true });
+        const matchContent = toolTrigger[2] === undefined ? null : compileTriggerMatcher(toolTrigger[2]);
+        return (text, toolResult) => {
+            if (!toolResult || !matchName(toolResult.name ?? '')) return null;
+            if (!matchContent) return [toolResult.content ?? ''];
+            return matchContent(toolResult.content ?? '');
+        };
+    }
+
+    const regex = parseRegexLiteral(pattern);
+    if (regex) {
+        return (text) => {
+            regex.lastIndex = 0;
+            const result = regex.exec(text);
+            return result ? Array.from(result) : null;
+        };
+    }
+
+    const prefixed = /^(contains|startsWith|endsWith):/i.exec(pattern);
+    if (prefixed) {
+        const needle = pattern.slice(prefixed[0].length);
+        const kind = prefixed[1].toLowerCase();
+        if (kind === 'contains') return (text) => (text.includes(needle) ? [needle] : null);
+        if (kind === 'startswith') return (text) => (text.startsWith(needle) ? [needle] : null);
+        return (text) => (text.endsWith(needle) ? [needle] : null);
+    }
+
+    const globPattern = /^glob:/i.test(pattern) ? pattern.slice('glob:'.length) : null;
+    if (globPattern !== null || (implicitGlob && /[*?]/.test(pattern))) {
+        const glob = globToRegExp(globPattern ?? pattern);
+        return (text) => {
+            const result = glob.exec(text);
+            return result ? Array.from(result) : null;
+        };
+    }
+
+    return (text) => (text === pattern ? [text] : null);
+}
+
+function globToRegExp(pattern) {
+    let source = '';
+    for (const char of pattern) {
+        if (char === '*') source += '(.*)';
+        else if (char === '?') source += '(.)';
+        else source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+    return new RegExp(`^${source}$`, 's');
+}
+
 export function listModelNames(registry, { excludeBaseModels = true } = {}) {
     const names = new Set();
 
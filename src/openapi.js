@@ -31,6 +31,20 @@ const FILE_ID_PARAM = {
     schema: { type: 'string' },
 };
 
+const REQUEST_ID_PARAM = {
+    name: 'requestId',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+};
+
+const REQUEST_FILTER_PARAMS = ['model', 'path', 'session'].map((name) => ({
+    name,
+    in: 'query',
+    required: false,
+    schema: { type: 'string' },
+}));
+
 const STREAM_FORMAT_PARAM = {
     name: 'stream_format',
     in: 'query',
@@ -122,6 +136,15 @@ function streamResponse() {
     };
 }
 
+function eventStreamResponse() {
+    return {
+        description: 'OK',
+        content: {
+            'text/event-stream': { schema: textSchema() },
+        },
+    };
+}
+
 function openApiOperation({ tags, summary, requestBody, parameters, responses }) {
     return {
         tags,
@@ -305,6 +328,66 @@ export function buildOpenApiSpec(config, { serverUrl } = {}) {
                     responses: { 200: jsonResponse() },
                 }),
             },
+            '/__debug/requests': {
+                get: openApiOperation({
+                    tags: ['core'],
+                    summary: 'Captured requests and responses, newest first.',
+                    parameters: REQUEST_FILTER_PARAMS,
+                    responses: { 200: jsonResponse() },
+                }),
+                delete: openApiOperation({
+                    tags: ['core'],
+                    summary: 'Clear captured requests.',
+                    responses: { 200: jsonResponse() },
+                }),
+            },
+            '/__debug/requests/stream': {
+                get: openApiOperation({
+                    tags: ['core'],
+                    summary: 'Server-sent `request` events for each newly captured request.',
+                    responses: { 200: eventStreamResponse() },
+                }),
+            },
+            '/__debug/requests/{requestId}': {
+                get: openApiOperation({
+                    tags: ['core'],
+                    summary: 'One captured request.',
+                    parameters: [REQUEST_ID_PARAM],
+                    responses: { 200: jsonResponse(), 404: jsonResponse() },
+                }),
+            },
+            '/__debug/state': {
+                delete: openApiOperation({
+                    tags: ['core'],
+                    summary: 'Reset sequence and flaky attempt counters, rate-limit buckets and the random_seed stream.',
+                    responses: { 200: jsonResponse() },
+                }),
+            },
+            '/__debug/expectations': {
+                post: openApiOperation({
+                    tags: ['core'],
+                    summary: 'Register one expectation or an array of them.',
+                    requestBody: jsonRequestBody(),
+                    responses: { 201: jsonResponse(), 400: jsonResponse() },
+                }),
+                get: openApiOperation({
+                    tags: ['core'],
+                    summary: 'Registered expectations with their match counts.',
+                    responses: { 200: jsonResponse() },
+                }),
+                delete: openApiOperation({
+                    tags: ['core'],
+                    summary: 'Clear registered expectations.',
+                    responses: { 200: jsonResponse() },
+                }),
+            },
+            '/__debug/verify': {
+                get: openApiOperation({
+                    tags: ['core'],
+                    summary: 'Report which expectations were met, unmet or violated.',
+                    responses: { 200: jsonResponse() },
+                }),
+            },
             '/playground': {
                 get: openApiOperation({
                     tags: ['core'],
@@ -319,6 +402,13 @@ export function buildOpenApiSpec(config, { serverUrl } = {}) {
                     responses: { 200: htmlResponse() },
                 }),
             },
+            '/inspect': {
+                get: openApiOperation({
+                    tags: ['core'],
+                    summary: 'Live traffic inspector.',
+                    responses: { 200: htmlResponse() },
+                }),
+            },
             '/openapi.json': {
                 get: openApiOperation({
                     tags: ['core'],
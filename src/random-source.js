@@ -0,0 +1,23 @@
+import { createSeededRandom, normalizeHeaderValue } from './utils.js';
+
+// Hands out one seed per generated response. With `random_seed` set the seeds come from a single seeded stream,
+// so a run replays identically as long as requests arrive in the same order.
+export class RandomSource {
+    constructor(seed = null) {
+        this.seed = seed === undefined || seed === '' ? null : seed;
+        this.reset();
+    }
+
+    reset() {
+        this.random = this.seed === null ? null : createSeededRandom(this.seed);
+    }
+
+    requestSeed(req) {
+        const override = req.body?.seed
+            ?? req.body?.generationConfig?.seed
+            ?? normalizeHeaderValue(req.headers['x-seed']);
+        if (override !== undefined && override !== null && override !== '') return override;
+        if (!this.random) return null;
+        return Math.floor(this.random() * 0x100000000);
+    }
+}
@@ -0,0 +1,113 @@
+const WINDOW_MS = 60_000;
+
+class TokenBucket {
+    constructor(limit, now) {
+        this.limit = limit;
+        this.level = limit;
+        this.updatedAt = now;
+    }
+
+    refill(now) {
+        this.level = Math.min(this.limit, this.level + ((now - this.updatedAt) * this.limit) / WINDOW_MS);
+        this.updatedAt = now;
+    }
+
+    waitMs(amount) {
+        return Math.max(Math.ceil(((amount - this.level) * WINDOW_MS) / this.limit), 0);
+    }
+
+    take(amount) {
+        this.level -= amount;
+    }
+
+    snapshot() {
+        return {
+            limit: this.limit,
+            remaining: Math.max(Math.floor(this.level), 0),
+            resetMs: this.waitMs(this.limit),
+        };
+    }
+}
+
+export class RateLimiter {
+    constructor({ now = () => Date.now() } = {}) {
+        this.now = now;
+        this.buckets = new Map();
+    }
+
+    // Admits the request only if both the request and token buckets can cover it. A request needing more tokens
+    // than the whole per-minute limit can never be admitted and is reported as `oversized`, with no retry time.
+    consume(key, limits, tokens = 0) {
+        const requests = this.getBucket(`${key}:requests`, limits.requests);
+        const tokenBucket = this.getBucket(`${key}:tokens`, limits.tokens);
+        const oversized = Boolean(tokenBucket) && tokens > tokenBucket.limit;
+        const waits = [requests?.waitMs(1) ?? 0, tokenBucket?.waitMs(tokens) ?? 0];
+        const allowed = !oversized && waits.every((wait) => wait === 0);
+        if (allowed) {
+            requests?.take(1);
+            tokenBucket?.take(tokens);
+        }
+        return {
+            allowed,
+            oversized,
+            retryAfterMs: oversized ? null : Math.max(...waits),
+            requests: requests?.snapshot() ?? null,
+            tokens: tokenBucket?.snapshot() ?? null,
+        };
+    }
+
+    snapshot(key, limits) {
+        return {
+            requests: this.getBucket(`${key}:requests`, limits.requests)?.snapshot() ?? null,
+            tokens: this.getBucket(`${key}:tokens`, limits.tokens)?.snapshot() ?? null,
+        };
+    }
+
+    charge(key, limits, tokens) {
+        this.getBucket(`${key}:tokens`, limits.tokens)?.take(tokens);
+    }
+
+    reset() {
+        this.buckets.clear();
+    }
+
+    getBucket(key, limit) {
+        if (!limit) return null;
+        const now = this.now();
+        let bucket = this.buckets.get(key);
+        if (!bucket || bucket.limit !== limit) {
+            bucket = new TokenBucket(limit, now);
+            this.buckets.set(key, bucket);
+        }
+        bucket.refill(now);
+        return bucket;
+    }
+}
+
+export function buildRateLimitHeaders(provider, { requests, tokens }) {
+    const headers = {};
+    if (provider === 'anthropic') {
+        const now = Date.now();
+        for (const [name, bucket] of [['requests', requests], ['tokens', tokens]]) {
+            if (!bucket) continue;
+            headers[`anthropic-ratelimit-${name}-limit`] = String(bucket.limit);
+            headers[`anthropic-ratelimit-${name}-remaining`] = String(bucket.remaining);
+            headers[`anthropic-ratelimit-${name}-reset`] = new Date(now + bucket.resetMs).toISOString();
+        }
+        return headers;
+    }
+    for (const [name, bucket] of [['requests', requests], ['tokens', tokens]]) {
+        if (!bucket) continue;
+        headers[`x-ratelimit-limit-${name}`] = String(bucket.limit);
+        headers[`x-ratelimit-remaining-${name}`] = String(bucket.remaining);
+        headers[`x-ratelimit-reset-${name}`] = formatResetDuration(bucket.resetMs);
+    }
+    return headers;
+}
+
+function formatResetDuration(ms) {
+    if (ms < 1000) return `${ms}ms`;
+    const minutes = Math.floor(ms / WINDOW_MS);
+    const seconds = Number(((ms % WINDOW_MS) / 1000).toFixed(3));
+    return minutes > 0 ? `${minutes}m${seconds}s` : `${seconds}s`;
+}
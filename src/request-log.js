@@ -0,0 +1,67 @@
+import { redactFields } from './utils.js';
+
+const DEFAULT_CAPACITY = 200;
+const CREDENTIAL_FIELDS = [
+    'authorization',
+    'proxy-authorization',
+    'x-api-key',
+    'x-goog-api-key',
+    'api-key',
+    'cookie',
+    'key',
+];
+
+export class RequestLog {
+    // Credential headers and query parameters are always masked; `redact` adds more names.
+    constructor({ capacity = DEFAULT_CAPACITY, redact = [] } = {}) {
+        this.capacity = capacity;
+        this.redact = new Set([...CREDENTIAL_FIELDS, ...redact].map((name) => name.toLowerCase()));
+        this.entries = [];
+        this.listeners = new Set();
+    }
+
+    record(capture) {
+        const entry = capture.request
+            ? {
+                ...capture,
+                request: {
+                    ...capture.request,
+                    headers: redactFields(capture.request.headers, this.redact),
+                    query: redactFields(capture.request.query, this.redact),
+                },
+            }
+            : capture;
+        this.entries.push(entry);
+        if (this.entries.length > this.capacity) {
+            this.entries.shift();
+        }
+        for (const listener of this.listeners) {
+            listener(entry);
+        }
+        return entry;
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Newest first. `model` matches the requested or resolved model, `path` is a prefix.
+    list({ model, path, session } = {}) {
+        return this.entries
+            .filter((entry) => !model || entry.model === model || entry.resolved_model === model)
+            .filter((entry) => !path || entry.path.startsWith(path))
+            .filter((entry) => !session || entry.session === session)
+            .reverse();
+    }
+
+    get(id) {
+        return this.entries.findLast((entry) => entry.id === id) ?? null;
+    }
+
+    clear() {
+        const count = this.entries.length;
+        this.entries = [];
+        return count;
+    }
+}
@@ -1,5 +1,30 @@
+import { parseInteger, toArray } from './utils.js';
+
+const MAX_CHOICES = 128;
+const INLINE_DIRECTIVE_PATTERN = /[ \t]*\[\[llmdbg\b([\s\S]*?)\]\][ \t]*/gi;
+const INLINE_DIRECTIVE_PAIR = /([\w-]+)=("[^"]*"|'[^']*'|\S+)/g;
+
+// Inline `[[llmdbg key=value]]` directives map onto the debug headers they stand in for.
+const INLINE_DIRECTIVE_HEADERS = {
+    behavior: 'x-behavior',
+    error: 'x-error',
+    delay: 'x-delay-ms',
+    tool: 'x-tool-name',
+    tool_args: 'x-tool-result',
+    tool_calls: 'x-tool-calls',
+    seed: 'x-seed',
+    session: 'x-session-id',
+    fault: 'x-stream-fault',
+    fault_after: 'x-stream-fault-after',
+    chunk_size: 'x-stream-chunk-size',
+    chunk_unit: 'x-stream-chunk-unit',
+};
+const STICKY_DIRECTIVE_HEADERS = new Set(['x-session-id', 'x-seed']);
+
 export function extractOpenAIChatText(messages = []) {
     let lastUser = '';
+    let toolResult = null;
+    const toolNames = new Map();
     const allParts = [];
 
     for (const message of messages) {
@@ -7,46 +32,209 @@ export function extractOpenAIChatText(messages = []) {
         if (text) {
             allParts.push(text);
         }
+        if (message?.role === 'assistant') {
+            for (const call of toArray(message.tool_calls)) {
+                if (call?.id) toolNames.set(call.id, call.function?.name || '');
+            }
+        }
+        if (message?.role === 'tool' || message?.role === 'function') {
+            toolResult = {
+                name: message.name || toolNames.get(message.tool_call_id) || '',
+                content: text,
+            };
+        }
         if (message?.role === 'user' && text) {
             lastUser = text;
+            toolResult = null;
         }
     }
 
-    return { lastUser, allText: allParts.join('\n') };
+    return buildExtraction(lastUser, allParts, toolResult, toolResult !== null);
 }
 
 export function extractAnthropicText(messages = []) {
     let lastUser = '';
+    let toolResult = null;
+    let toolTurnFollows = false;
+    const toolNames = new Map();
     const allParts = [];
 
     for (const message of messages) {
         const text = extractAnthropicContent(message?.content);
+        const blocks = Array.isArray(message?.content) ? message.content : [];
+        const results = blocks.filter((block) => block?.type === 'tool_result');
         if (text) {
             allParts.push(text);
         }
+        for (const block of blocks) {
+            if (block?.type === 'tool_use' && block.id) {
+                toolNames.set(block.id, block.name || '');
+            }
+        }
+        for (const block of results) {
+            const content = extractTextFromContent(block.content);
+            if (content) allParts.push(content);
+            toolResult = { name: toolNames.get(block.tool_use_id) || '', content };
+            toolTurnFollows = true;
+        }
         if (message?.role === 'user' && text) {
             lastUser = text;
+            toolTurnFollows = false;
+            if (results.length === 0) toolResult = null;
         }
     }
 
-    return { lastUser, allText: allParts.join('\n') };
+    return buildExtraction(lastUser, allParts, toolResult, toolTurnFollows);
 }
 
 export function extractGeminiText(contents = []) {
     let lastUser = '';
+    let toolResult = null;
+    let toolTurnFollows = false;
     const allParts = [];
 
     for (const content of contents) {
         const text = extractGeminiContent(content?.parts);
+        const results = toArray(content?.parts).filter((part) => part?.functionResponse);
         if (text) {
             allParts.push(text);
         }
+        for (const part of results) {
+            const response = part.functionResponse.response;
+            const resultText = typeof response?.content === 'string' ? response.content : JSON.stringify(response ?? {});
+            allParts.push(resultText);
+            toolResult = { name: part.functionResponse.name || '', content: resultText };
+            toolTurnFollows = true;
+        }
         if (content?.role === 'user' && text) {
             lastUser = text;
+            toolTurnFollows = false;
+            if (results.length === 0) toolResult = null;
+        }
+    }
+
+    return buildExtraction(lastUser, allParts, toolResult, toolTurnFollows);
+}
+
+export function extractResponsesText(input) {
+    let lastUser = '';
+    const allParts = [];
+
+    for (const item of toArray(input)) {
+        const message = typeof item === 'string' ? { role: 'user', content: item } : item;
+        const text = message?.type === 'function_call_output'
+            ? extractTextFromContent(message.output)
+            : extractTextFromContent(message?.content);
+        if (text) {
+            allParts.push(text);
+        }
+        if (message?.role === 'user' && text) {
+            lastUser = text;
+        }
+    }
+
+    const toolResult = extractResponsesToolResult(input);
+    return buildExtraction(lastUser, allParts, toolResult, toolResult !== null);
+}
+
+export function extractInlineDirectives(text) {
+    const directives = {};
+    const source = String(text ?? '');
+    const stripped = source.replace(INLINE_DIRECTIVE_PATTERN, (_, body) => {
+        for (const [, key, raw] of body.matchAll(INLINE_DIRECTIVE_PAIR)) {
+            const header = INLINE_DIRECTIVE_HEADERS[key.toLowerCase()];
+            if (header) directives[header] = raw.replace(/^(["'])([\s\S]*)\1$/, '$2');
         }
+        return ' ';
+    });
+    return { text: stripped === source ? source : stripped.trim(), directives };
+}
+
+export function extractResponsesToolResult(input) {
+    let toolResult = null;
+    const toolNames = new Map();
+
+    for (const item of toArray(input)) {
+        if (item?.type === 'function_call' && item.call_id) {
+            toolNames.set(item.call_id, item.name || '');
+        } else if (item?.type === 'function_call_output') {
+            toolResult = {
+                name: toolNames.get(item.call_id) || '',
+                content: typeof item.output === 'string' ? item.output : extractTextFromContent(item.output),
+            };
+        } else if (item?.role === 'user') {
+            toolResult = null;
+        }
+    }
+
+    return toolResult;
+}
+
+export function extractResponseSchema(body = {}) {
+    const format = body?.response_format || body?.text?.format;
+    if (format?.type === 'json_schema') {
+        return format.json_schema?.schema || format.schema || {};
+    }
+    if (format?.type === 'json_object') {
+        return { type: 'object' };
+    }
+
+    const generationConfig = body?.generationConfig;
+    if (generationConfig?.responseJsonSchema || generationConfig?.responseSchema) {
+        return generationConfig.responseJsonSchema || generationConfig.responseSchema;
+    }
+    if (generationConfig?.responseMimeType === 'application/json') {
+        return { type: 'object' };
+    }
+    return null;
+}
+
+export function extractGenerationLimits(body = {}) {
+    const generationConfig = body?.generationConfig || {};
+    const maxTokens = [
+        body?.max_completion_tokens,
+        body?.max_output_tokens,
+        body?.max_tokens,
+        generationConfig.maxOutputTokens,
+    ].find((value) => Number.isFinite(Number(value)) && value !== null && value !== '');
+    const stopSequences = toArray(body?.stop ?? body?.stop_sequences ?? generationConfig.stopSequences)
+        .filter((value) => typeof value === 'string' && value.length > 0);
+
+    return {
+        maxTokens: maxTokens === undefined ? null : Number(maxTokens),
+        stopSequences,
+    };
+}
+
+export function extractChoiceCount(body = {}) {
+    const count = parseInteger(body?.n ?? body?.generationConfig?.candidateCount, 1);
+    return Math.min(Math.max(count || 1, 1), MAX_CHOICES);
+}
+
+export function countAssistantTurns(body = {}) {
+    const items = body?.messages || body?.contents || (Array.isArray(body?.input) ? body.input : []);
+    let turns = 0;
+    let inTurn = false;
+    for (const item of items) {
+        const isAssistant = item?.role === 'assistant' || item?.role === 'model' || item?.type === 'function_call';
+        if (isAssistant && !inTurn) {
+            turns += 1;
+        }
+        inTurn = isAssistant;
     }
+    return turns;
+}
 
-    return { lastUser, allText: allParts.join('\n') };
+export function listToolNames(tools) {
+    const names = [];
+    for (const tool of toArray(tools)) {
+        if (tool?.function?.name) names.push(tool.function.name);
+        else if (tool?.name) names.push(tool.name);
+        for (const decl of toArray(tool?.functionDeclarations)) {
+            if (decl?.name) names.push(decl.name);
+        }
+    }
+    return names;
 }
 
 export function extractPromptText(prompt) {
@@ -65,6 +253,17 @@ export function extractInputText(input) {
     return typeof input === 'string' ? input : JSON.stringify(input);
 }
 
+// Once tool results follow the last user message its directives have already fired, so an agent loop does not
+// repeat them on every tool turn. Only `session` and `seed`, which identify the conversation, carry over.
+function buildExtraction(lastUser, allParts, toolResult, toolTurnFollows) {
+    const { text, directives } = extractInlineDirectives(lastUser);
+    const allText = allParts.map((part) => extractInlineDirectives(part).text).join('\n');
+    const applied = toolTurnFollows
+        ? Object.fromEntries(Object.entries(directives).filter(([header]) => STICKY_DIRECTIVE_HEADERS.has(header)))
+        : directives;
+    return { lastUser: text, allText, toolResult, directives: applied };
+}
+
 function extractTextFromContent(content) {
     if (!content) return '';
     if (typeof content === 'string') return content;
@@ -0,0 +1,352 @@
+const MAX_DEPTH = 8;
+const WORDS = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet'];
+const INPUT_FIELDS = new Set(['input', 'query', 'q', 'prompt', 'text', 'message', 'content', 'question', 'search']);
+const DIGITS = [...'0123456789'];
+const LETTERS = [...'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'];
+const WORD_CHARS = [...LETTERS, ...DIGITS, '_'];
+
+export function generateFromSchema(schema, { random, userInput = '' } = {}) {
+    const context = { root: schema, random, userInput };
+    return generateValue(schema, context, { depth: 0, key: '' });
+}
+
+export function validateAgainstSchema(value, schema, root = schema, depth = 0) {
+    const resolved = resolveSchema(schema, root);
+    if (!resolved || typeof resolved !== 'object' || depth > MAX_DEPTH) return true;
+
+    if ('const' in resolved && !isEqual(value, resolved.const)) return false;
+    if (Array.isArray(resolved.enum) && !resolved.enum.some((entry) => isEqual(value, entry))) return false;
+    if (resolved.allOf && !resolved.allOf.every((part) => validateAgainstSchema(value, part, root, depth + 1))) {
+        return false;
+    }
+    const variants = resolved.anyOf || resolved.oneOf;
+    if (variants && !variants.some((part) => validateAgainstSchema(value, part, root, depth + 1))) return false;
+
+    const types = (Array.isArray(resolved.type) ? resolved.type : [resolved.type])
+        .filter(Boolean)
+        .map((type) => String(type).toLowerCase());
+    if (types.length > 0 && !types.some((type) => matchesType(value, type))) return false;
+
+    if (typeof value === 'string') {
+        if (resolved.minLength !== undefined && value.length < resolved.minLength) return false;
+        if (resolved.maxLength !== undefined && value.length > resolved.maxLength) return false;
+        if (resolved.pattern && !matchesPattern(value, resolved.pattern)) return false;
+    }
+    if (typeof value === 'number') {
+        if (resolved.minimum !== undefined && value < resolved.minimum) return false;
+        if (resolved.maximum !== undefined && value > resolved.maximum) return false;
+        if (typeof resolved.exclusiveMinimum === 'number' && value <= resolved.exclusiveMinimum) return false;
+        if (typeof resolved.exclusiveMaximum === 'number' && value >= resolved.exclusiveMaximum) return false;
+    }
+    if (Array.isArray(value)) {
+        if (resolved.minItems !== undefined && value.length < resolved.minItems) return false;
+        if (resolved.maxItems !== undefined && value.length > resolved.maxItems) return false;
+        if (resolved.items && !value.every((item) => validateAgainstSchema(item, resolved.items, root, depth + 1))) {
+            return false;
+        }
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const properties = resolved.properties || {};
+        if ((resolved.required || []).some((name) => !(name in value))) return false;
+        for (const [name, item] of Object.entries(value)) {
+            if (name in properties) {
+                if (!validateAgainstSchema(item, properties[name], root, depth + 1)) return false;
+            } else if (resolved.additionalProperties === false) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number';
+    if (type === 'null') return value === null;
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    return typeof value === type;
+}
+
+function matchesPattern(value, pattern) {
+    try {
+        return new RegExp(pattern, 'u').test(value);
+    } catch {
+        return true;
+    }
+}
+
+function isEqual(left, right) {
+    return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function generateValue(rawSchema, context, { depth, key }) {
+    const schema = resolveSchema(rawSchema, context.root);
+    if (!schema || typeof schema !== 'object' || depth > MAX_DEPTH) {
+        return null;
+    }
+
+    if ('const' in schema) return schema.const;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+        return pick(schema.enum, context.random);
+    }
+
+    const variants = schema.anyOf || schema.oneOf;
+    if (Array.isArray(variants) && variants.length > 0) {
+        const usable = variants.filter((variant) => resolveType(resolveSchema(variant, context.root)) !== 'null');
+        return generateValue(usable[0] || variants[0], context, { depth: depth + 1, key });
+    }
+    if (Array.isArray(schema.allOf) && schema.allOf.length > 0) {
+        return generateValue(mergeAllOf(schema, context.root), context, { depth: depth + 1, key });
+    }
+
+    const type = resolveType(schema);
+    if (type === 'object') return generateObject(schema, context, depth);
+    if (type === 'array') return generateArray(schema, context, depth, key);
+    if (type === 'integer') return generateNumber(schema, context.random, true);
+    if (type === 'number') return generateNumber(schema, context.random, false);
+    if (type === 'boolean') return context.random() < 0.5;
+    if (type === 'null') return null;
+    return generateString(schema, context, key);
+}
+
+function generateObject(schema, context, depth) {
+    const result = {};
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+        result[name] = generateValue(propertySchema, context, { depth: depth + 1, key: name });
+    }
+    for (const name of schema.required || []) {
+        if (!(name in result)) {
+            result[name] = generateString({}, context, name);
+        }
+    }
+    return result;
+}
+
+function generateArray(schema, context, depth, key) {
+    const minItems = schema.minItems ?? 0;
+    const maxItems = schema.maxItems ?? Math.max(minItems, 1);
+    const count = Math.min(Math.max(minItems, 1), maxItems);
+    const items = [];
+    for (let i = 0; i < count; i += 1) {
+        items.push(generateValue(schema.items || {}, context, { depth: depth + 1, key }));
+    }
+    return items;
+}
+
+function generateNumber(schema, random, integer) {
+    const margin = integer ? 1 : 0.01;
+    let min = schema.minimum;
+    let max = schema.maximum;
+    if (typeof schema.exclusiveMinimum === 'number') min = schema.exclusiveMinimum + margin;
+    else if (schema.exclusiveMinimum === true && min !== undefined) min += margin;
+    if (typeof schema.exclusiveMaximum === 'number') max = schema.exclusiveMaximum - margin;
+    else if (schema.exclusiveMaximum === true && max !== undefined) max -= margin;
+    min ??= max !== undefined ? Math.min(0, max) : 0;
+    max ??= min + 100;
+    if (max < min) max = min;
+
+    const step = schema.multipleOf || (integer ? 1 : 0);
+    if (step) {
+        const low = Math.ceil(min / step);
+        const high = Math.floor(max / step);
+        const multiple = high >= low ? low + Math.floor(random() * (high - low + 1)) : low;
+        return Number((multiple * step).toFixed(10));
+    }
+    const value = Number((min + random() * (max - min)).toFixed(2));
+    return Math.min(max, Math.max(min, value));
+}
+
+function generateString(schema, context, key) {
+    const { random } = context;
+    if (schema.pattern) {
+        const candidates = [
+            generatePatternString(schema.pattern, random),
+            schema.example,
+            ...(Array.isArray(schema.examples) ? schema.examples : []),
+            schema.default,
+        ];
+        const matching = candidates.find((candidate) => typeof candidate === 'string'
+            && validateAgainstSchema(candidate, schema, context.root));
+        if (matching !== undefined) return matching;
+    }
+    const formatted = generateFormattedString(schema.format, random);
+    if (formatted !== null) return formatted;
+
+    let text = INPUT_FIELDS.has(String(key).toLowerCase()) && context.userInput
+        ? String(context.userInput)
+        : `${key || 'value'}-${pick(WORDS, random)}`;
+    const minLength = schema.minLength ?? 0;
+    while (text.length < minLength) {
+        text += `-${pick(WORDS, random)}`;
+    }
+    if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+        text = text.slice(0, schema.maxLength);
+    }
+    return text;
+}
+
+// Covers literals, escapes, character classes and quantifiers. Groups, alternation and negated classes return
+// null, leaving the caller to fall back to the schema's examples or default.
+function generatePatternString(pattern, random) {
+    const source = String(pattern).replace(/^\^/, '').replace(/(?<!\\)\$$/, '');
+    let text = '';
+    let index = 0;
+    while (index < source.length) {
+        const char = source[index];
+        let chars;
+        if (char === '\\') {
+            chars = expandEscape(source[index + 1]);
+            index += 2;
+        } else if (char === '[') {
+            const end = source.indexOf(']', index + 1);
+            chars = end === -1 ? null : expandClass(source.slice(index + 1, end));
+            index = end + 1;
+        } else if (!'()|^$*+?{}'.includes(char)) {
+            chars = char === '.' ? WORD_CHARS : [char];
+            index += 1;
+        }
+        if (!chars || chars.length === 0) return null;
+
+        const quantifier = readQuantifier(source, index);
+        if (!quantifier) return null;
+        index += quantifier.length;
+        const count = quantifier.min + Math.floor(random() * (quantifier.max - quantifier.min + 1));
+        for (let i = 0; i < count; i += 1) {
+            text += pick(chars, random);
+        }
+    }
+    return text;
+}
+
+function expandEscape(char) {
+    if (char === 'd') return DIGITS;
+    if (char === 'w') return WORD_CHARS;
+    if (char === 's') return [' '];
+    if (char === undefined || /[a-zA-Z0-9]/.test(char)) return null;
+    return [char];
+}
+
+function expandClass(body) {
+    if (body.startsWith('^')) return null;
+    const chars = [];
+    let index = 0;
+    while (index < body.length) {
+        if (body[index] === '\\') {
+            const escaped = expandEscape(body[index + 1]);
+            if (!escaped) return null;
+            chars.push(...escaped);
+            index += 2;
+        } else if (body[index + 1] === '-' && index + 2 < body.length) {
+            const start = body.charCodeAt(index);
+            const end = body.charCodeAt(index + 2);
+            for (let code = start; code <= end; code += 1) {
+                chars.push(String.fromCharCode(code));
+            }
+            index += 3;
+        } else {
+            chars.push(body[index]);
+            index += 1;
+        }
+    }
+    return chars;
+}
+
+// Open-ended quantifiers (`*`, `+`, `{n,}`) repeat at most three times beyond their minimum.
+function readQuantifier(source, index) {
+    const char = source[index];
+    if (char === '?') return { min: 0, max: 1, length: 1 };
+    if (char === '*') return { min: 0, max: 3, length: 1 };
+    if (char === '+') return { min: 1, max: 3, length: 1 };
+    if (char !== '{') return { min: 1, max: 1, length: 0 };
+
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+    if (!match) return null;
+    const min = Number(match[1]);
+    const max = match[2] === undefined ? min : Number(match[3] || min + 3);
+    return max < min ? null : { min, max, length: match[0].length };
+}
+
+function generateFormattedString(format, random) {
+    const word = () => pick(WORDS, random);
+    const timestamp = Date.UTC(2024, 0, 1) + Math.floor(random() * 365 * 24 * 3600) * 1000;
+    const iso = new Date(timestamp).toISOString();
+    switch (format) {
+        case 'date-time':
+            return iso.replace(/\.\d{3}Z$/, 'Z');
+        case 'date':
+            return iso.slice(0, 10);
+        case 'time':
+            return iso.slice(11, 19);
+        case 'email':
+            return `${word()}@example.com`;
+        case 'uri':
+        case 'url':
+            return `https://example.com/${word()}`;
+        case 'hostname':
+            return `${word()}.example.com`;
+        case 'ipv4':
+            return [10, 0, 0, 1 + Math.floor(random() * 254)].join('.');
+        case 'ipv6':
+            return `2001:db8::${Math.floor(random() * 0xffff).toString(16)}`;
+        case 'uuid':
+            return buildUuid(random);
+        default:
+            return null;
+    }
+}
+
+function buildUuid(random) {
+    const hex = Array.from({ length: 32 }, () => Math.floor(random() * 16).toString(16));
+    hex[12] = '4';
+    hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    const text = hex.join('');
+    return `${text.slice(0, 8)}-${text.slice(8, 12)}-${text.slice(12, 16)}-${text.slice(16, 20)}-${text.slice(20)}`;
+}
+
+function resolveType(schema) {
+    if (!schema) return null;
+    const types = (Array.isArray(schema.type) ? schema.type : [schema.type])
+        .filter(Boolean)
+        .map((type) => String(type).toLowerCase());
+    const type = types.find((entry) => entry !== 'null') || types[0];
+    if (type) return type;
+    if (schema.properties) return 'object';
+    if (schema.items) return 'array';
+    return 'string';
+}
+
+function resolveSchema(schema, root) {
+    let current = schema;
+    let hops = 0;
+    while (current?.$ref && hops < MAX_DEPTH) {
+        current = lookupRef(current.$ref, root);
+        hops += 1;
+    }
+    return current;
+}
+
+function lookupRef(ref, root) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+    let current = root;
+    for (const segment of ref.slice(1).split('/').filter(Boolean)) {
+        current = current?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    return current ?? null;
+}
+
+function mergeAllOf(schema, root) {
+    const { allOf, ...rest } = schema;
+    const merged = { ...rest, properties: { ...rest.properties }, required: [...(rest.required || [])] };
+    for (const part of allOf) {
+        const resolved = resolveSchema(part, root) || {};
+        Object.assign(merged.properties, resolved.properties);
+        merged.required.push(...(resolved.required || []));
+        if (!merged.type && resolved.type) merged.type = resolved.type;
+    }
+    return merged;
+}
+
+function pick(values, random) {
+    return values[Math.floor(random() * values.length)];
+}
@@ -16,6 +16,7 @@ export async function buildServerConfig() {
         ...buildConfigValues({ env: process.env, fileConfig }),
         configPath,
         configDir,
+        latencyProfile: fileConfig?.latency || null,
         modelsConfig,
         modelRegistry,
     };
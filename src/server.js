@@ -6,7 +6,15 @@ import cors from 'cors';
 import yaml from 'js-yaml';
 import { setTimeout as delay } from 'node:timers/promises';
 import { buildServerConfig } from './server-config.js';
+import { normalizeChunkUnit } from './config-items.js';
 import { resolveResponse } from './behavior.js';
+import {
+    buildErrorBody,
+    buildRetryHeaders,
+    expandFlakyShorthand,
+    normalizeErrorDirective,
+    resolveFlakyError,
+} from './error-catalog.js';
 import {
     buildAnthropicMessageResponse,
     buildAnthropicStreamEvents,
@@ -18,43 +26,62 @@ import {
     buildOpenAIEmbeddingResponse,
     buildOpenAIResponsesEvents,
     buildOpenAIResponsesResponse,
+    isContentEvent,
 } from './translator.js';
 import { parseMultipart } from './multipart.js';
 import { FileStore } from './file-store.js';
+import { ExpectationStore } from './expectations.js';
+import { RequestLog } from './request-log.js';
+import { TrafficLog } from './traffic-log.js';
+import { SessionStore } from './session-store.js';
+import { RandomSource } from './random-source.js';
+import { RateLimiter, buildRateLimitHeaders } from './rate-limiter.js';
+import { resolveStreamFault } from './stream-faults.js';
 import { buildOpenApiSpec } from './openapi.js';
-import { buildExploreHtml, buildIndexHtml, buildPlaygroundHtml } from './ui.js';
+import { buildExploreHtml, buildIndexHtml, buildInspectHtml, buildPlaygroundHtml } from './ui.js';
 import {
     extractAnthropicText,
     extractGeminiText,
+    extractInlineDirectives,
     extractInputText,
     extractOpenAIChatText,
     extractPromptText,
+    extractResponsesText,
+    listToolNames,
 } from './request-utils.js';
 import {
     combineTokens,
     countTokens,
+    createSeededRandom,
     generateId,
     normalizeHeaderValue,
     parseInteger,
+    resolvePath,
 } from './utils.js';
-import { listModelNames } from './model-config.js';
+import { buildLatencySchedule, calculateLatencyTotal, mergeLatencyProfiles } from './latency.js';
+import { listModelNames, resolveModelLatency, resolveModelRateLimits } from './model-config.js';
 
 const BUILTIN_MODELS = ['Echo', 'Robot', 'Weirdo', 'Thinker'];
+// Only provider API calls are captured; pages, health checks and /__debug/* are not.
+const PROVIDER_API_PATH = /^\/v1(beta)?\//;
 const OPENAI_CHAT_FIELDS = new Set([
     'model',
     'messages',
     'temperature',
     'max_tokens',
+    'max_completion_tokens',
     'stream',
     'stream_options',
     'seed',
     'tools',
     'tool_choice',
+    'parallel_tool_calls',
     'functions',
     'function_call',
     'top_p',
     'n',
     'stop',
+    'response_format',
 ]);
 const OPENAI_COMPLETIONS_FIELDS = new Set([
     'model',
@@ -77,7 +104,9 @@ const OPENAI_RESPONSES_FIELDS = new Set([
     'max_output_tokens',
     'tools',
     'tool_choice',
+    'parallel_tool_calls',
     'seed',
+    'text',
 ]);
 const ANTHROPIC_MESSAGE_FIELDS = new Set([
     'model',
@@ -89,6 +118,7 @@ const ANTHROPIC_MESSAGE_FIELDS = new Set([
     'tool_choice',
     'system',
     'metadata',
+    'stop_sequences',
 ]);
 const ANTHROPIC_COUNT_FIELDS = new Set(['model', 'messages']);
 const GEMINI_GENERATE_FIELDS = new Set(['contents', 'generationConfig', 'safetySettings', 'tools', 'toolConfig']);
@@ -98,9 +128,23 @@ export function createServer(config, { onListen } = {}) {
     const app = express();
     app.set('trust proxy', true);
     const fileStore = new FileStore();
+    const sessionStore = new SessionStore();
+    const rateLimiter = new RateLimiter();
+    const randomSource = new RandomSource(config.randomSeed);
+    const requestLog = new RequestLog({ redact: config.requestLogRedact || [] });
+    const expectations = new ExpectationStore();
+    const trafficLog = config.requestLog
+        ? new TrafficLog({
+            path: resolvePath(config.configDir || process.cwd(), config.requestLog),
+            maxBytes: config.requestLogMaxBytes,
+            maxAgeMs: (config.requestLogMaxAgeMinutes || 0) * 60_000,
+            redact: config.requestLogRedact || [],
+        })
+        : null;
     const endpointList = listEndpoints(config);
     const playgroundHtml = buildPlaygroundHtml();
     const exploreHtml = buildExploreHtml(config);
+    const inspectHtml = buildInspectHtml();
 
     app.use(cors({ origin: '*' }));
     app.use(express.json({ limit: '2mb' }));
@@ -114,20 +158,87 @@ export function createServer(config, { onListen } = {}) {
 
     app.use((req, res, next) => {
         const start = Date.now();
-        res.on('finish', () => {
+        const requestHeaders = { ...req.headers };
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            res.locals.responseBody = body;
+            return sendJson(body);
+        };
+        let logged = false;
+        const log = () => {
+            if (logged) return;
+            logged = true;
             const duration = Date.now() - start;
             const summary = res.locals.inputSummary || '-';
             const behavior = res.locals.behavior || '-';
+            const stream = res.locals.stream;
+            const cancelled = !res.writableFinished && stream?.fault !== 'destroy';
+            const outcome = cancelled
+                ? ` cancelled chunks=${stream?.chunksSent ?? 0}/${stream?.totalChunks ?? 0}`
+                : '';
             console.log(
-                `${req.method} ${req.originalUrl} ${res.statusCode} ${duration}ms input="${summary}" behavior="${behavior}"`,
+                `${req.method} ${req.originalUrl} ${res.statusCode} ${duration}ms${outcome}`
+                    + ` input="${summary}" behavior="${behavior}"`,
             );
-        });
+            if (!PROVIDER_API_PATH.test(req.path)) return;
+            const entry = requestLog.record({
+                id: req.requestId,
+                method: req.method,
+                path: req.originalUrl,
+                status: res.statusCode,
+                started_at: new Date(start).toISOString(),
+                duration_ms: duration,
+                first_byte_ms: stream?.chunks.length ? stream.chunks[0].at - start : duration,
+                model: typeof req.body?.model === 'string' ? req.body.model : res.locals.model || null,
+                resolved_model: res.locals.model || null,
+                session: normalizeHeaderValue(req.headers['x-session-id']) || null,
+                input: res.locals.inputSummary || null,
+                behavior: res.locals.behavior || null,
+                trigger: res.locals.trigger || null,
+                cancelled,
+                request: {
+                    headers: requestHeaders,
+                    query: { ...req.query },
+                    body: req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : null,
+                },
+                response: {
+                    headers: res.getHeaders(),
+                    body: res.locals.responseBody ?? null,
+                },
+                ...(stream ? {
+                    stream: {
+                        chunks_sent: stream.chunksSent,
+                        total_chunks: stream.totalChunks,
+                        fault: stream.fault,
+                        chunks: stream.chunks.map(({ at, ...chunk }) => ({ offset_ms: at - start, ...chunk })),
+                    },
+                } : {}),
+            });
+            expectations.observe({
+                id: entry.id,
+                path: req.path,
+                model: entry.model,
+                resolvedModel: entry.resolved_model,
+                message: res.locals.resolution?.lastUserMessage ?? null,
+                toolResult: res.locals.resolution?.toolResult ?? null,
+                tools: listToolNames(req.body?.tools || req.body?.functions),
+                headers: requestHeaders,
+            });
+            try {
+                trafficLog?.append(entry);
+            } catch (error) {
+                console.error('Failed to write request log', error);
+            }
+        };
+        res.on('finish', log);
+        res.on('close', log);
         next();
     });
 
     app.use((req, res, next) => {
         if (!config.requireAuth) return next();
-        const auth = req.headers.authorization || req.headers['x-api-key'];
+        const auth = req.headers.authorization || req.headers['x-api-key'] || req.headers['x-goog-api-key']
+            || req.query.key;
         if (!auth) {
             return sendError(res, 'openai', 401, 'Missing API key');
         }
@@ -154,6 +265,10 @@ export function createServer(config, { onListen } = {}) {
         res.type('html').send(exploreHtml);
     });
 
+    app.get('/inspect', (req, res) => {
+        res.type('html').send(inspectHtml);
+    });
+
     app.get('/openapi.json', (req, res) => {
         const baseUrl = getRequestBaseUrl(req, config);
         res.json(buildOpenApiSpec(config, { serverUrl: baseUrl }));
@@ -169,7 +284,71 @@ export function createServer(config, { onListen } = {}) {
         res.json({ status: 'ok' });
     });
 
-    app.get('/v1/models', (req, res) => {
+    app.get('/__debug/requests', (req, res) => {
+        const { model, path, session } = req.query;
+        res.json({ data: requestLog.list({ model, path, session }) });
+    });
+
+    app.get('/__debug/requests/stream', (req, res) => {
+        res.status(200);
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.write(': connected\n\n');
+        const unsubscribe = requestLog.subscribe((entry) => {
+            res.write(`event: request\ndata: ${JSON.stringify(entry)}\n\n`);
+        });
+        res.on('close', unsubscribe);
+    });
+
+    app.get('/__debug/requests/:id', (req, res) => {
+        const entry = requestLog.get(req.params.id);
+        if (!entry) {
+            return sendError(res, 'openai', 404, `No captured request with id ${req.params.id}`);
+        }
+        return res.json(entry);
+    });
+
+    app.delete('/__debug/requests', (req, res) => {
+        res.json({ deleted: requestLog.clear() });
+    });
+
+    app.delete('/__debug/state', (req, res) => {
+        sessionStore.reset();
+        rateLimiter.reset();
+        randomSource.reset();
+        res.json({ reset: true });
+    });
+
+    app.post('/__debug/expectations', (req, res) => {
+        try {
+            return res.status(201).json({ data: expectations.add(req.body) });
+        } catch (error) {
+            return sendError(res, 'openai', 400, error.message);
+        }
+    });
+
+    app.get('/__debug/expectations', (req, res) => {
+        res.json({ data: expectations.list() });
+    });
+
+    app.delete('/__debug/expectations', (req, res) => {
+        res.json({ deleted: expectations.clear() });
+    });
+
+    app.get('/__debug/verify', (req, res) => {
+        res.json(expectations.verify());
+    });
+
+    // Model lookups carry the rate limit headers of the model they name; listings report the global limits.
+    const trackModelRateLimit = (req, res, next) => {
+        const provider = req.path.startsWith('/v1beta/models') ? 'gemini' : normalizeProvider(req);
+        const modelName = req.params.model ? resolveModelName(req.params.model, config) : '*';
+        trackRateLimit({ req, res, config, rateLimiter, modelName, provider });
+        next();
+    };
+
+    app.get('/v1/models', trackModelRateLimit, (req, res) => {
         const provider = normalizeProvider(req);
         if (provider === 'anthropic') {
             return res.json({
@@ -182,7 +361,7 @@ export function createServer(config, { onListen } = {}) {
         });
     });
 
-    app.get('/v1/models/:model', (req, res) => {
+    app.get('/v1/models/:model', trackModelRateLimit, (req, res) => {
         const provider = normalizeProvider(req);
         const model = req.params.model;
         if (provider === 'anthropic') {
@@ -192,19 +371,19 @@ export function createServer(config, { onListen } = {}) {
     });
 
     app.post('/v1/chat/completions', async (req, res) => {
-        await handleOpenAIChat({ req, res, config });
+        await handleOpenAIChat({ req, res, config, sessionStore, rateLimiter, randomSource });
     });
 
     app.post('/v1/completions', async (req, res) => {
-        await handleOpenAICompletions({ req, res, config });
+        await handleOpenAICompletions({ req, res, config, sessionStore, rateLimiter, randomSource });
     });
 
     app.post('/v1/embeddings', async (req, res) => {
-        await handleOpenAIEmbeddings({ req, res, config });
+        await handleOpenAIEmbeddings({ req, res, config, rateLimiter });
     });
 
     app.post('/v1/responses', async (req, res) => {
-        await handleOpenAIResponses({ req, res, config });
+        await handleOpenAIResponses({ req, res, config, sessionStore, rateLimiter, randomSource });
     });
 
     app.post('/v1/audio/transcriptions', async (req, res) => {
@@ -252,7 +431,7 @@ export function createServer(config, { onListen } = {}) {
     });
 
     if (config.enableGeminiOpenAiCompat) {
-        app.get('/v1beta/openai/models', (req, res) => {
+        app.get('/v1beta/openai/models', trackModelRateLimit, (req, res) => {
             const provider = normalizeProvider(req);
             if (provider === 'anthropic') {
                 return res.json({ data: listAnthropicModels(config) });
@@ -260,7 +439,7 @@ export function createServer(config, { onListen } = {}) {
             return res.json({ object: 'list', data: listOpenAIModels(config) });
         });
 
-        app.get('/v1beta/openai/models/:model', (req, res) => {
+        app.get('/v1beta/openai/models/:model', trackModelRateLimit, (req, res) => {
             const provider = normalizeProvider(req);
             const model = req.params.model;
             if (provider === 'anthropic') {
@@ -270,19 +449,19 @@ export function createServer(config, { onListen } = {}) {
         });
 
         app.post('/v1beta/openai/chat/completions', async (req, res) => {
-            await handleOpenAIChat({ req, res, config });
+            await handleOpenAIChat({ req, res, config, sessionStore, rateLimiter, randomSource });
         });
 
         app.post('/v1beta/openai/completions', async (req, res) => {
-            await handleOpenAICompletions({ req, res, config });
+            await handleOpenAICompletions({ req, res, config, sessionStore, rateLimiter, randomSource });
         });
 
         app.post('/v1beta/openai/embeddings', async (req, res) => {
-            await handleOpenAIEmbeddings({ req, res, config });
+            await handleOpenAIEmbeddings({ req, res, config, rateLimiter });
         });
 
         app.post('/v1beta/openai/responses', async (req, res) => {
-            await handleOpenAIResponses({ req, res, config });
+            await handleOpenAIResponses({ req, res, config, sessionStore, rateLimiter, randomSource });
         });
 
         app.post('/v1beta/openai/audio/transcriptions', async (req, res) => {
@@ -331,18 +510,18 @@ export function createServer(config, { onListen } = {}) {
     }
 
     app.post('/v1/messages', async (req, res) => {
-        await handleAnthropicMessages({ req, res, config });
+        await handleAnthropicMessages({ req, res, config, sessionStore, rateLimiter, randomSource });
     });
 
     app.post('/v1/messages/count_tokens', async (req, res) => {
-        await handleAnthropicCountTokens({ req, res, config });
+        await handleAnthropicCountTokens({ req, res, config, rateLimiter });
     });
 
-    app.get('/v1beta/models', (req, res) => {
+    app.get('/v1beta/models', trackModelRateLimit, (req, res) => {
         res.json({ models: listGeminiModels(config) });
     });
 
-    app.get('/v1beta/models/:model', (req, res) => {
+    app.get('/v1beta/models/:model', trackModelRateLimit, (req, res) => {
         const model = req.params.model;
         res.json({ name: `models/${model}`, displayName: model });
     });
@@ -351,11 +530,11 @@ export function createServer(config, { onListen } = {}) {
         const { model, action } = parseGeminiModelAction(req.params.modelAction);
         req.params.model = model;
         if (action === 'generateContent') {
-            await handleGeminiGenerate({ req, res, config });
+            await handleGeminiGenerate({ req, res, config, sessionStore, rateLimiter, randomSource });
         } else if (action === 'streamGenerateContent') {
-            await handleGeminiStream({ req, res, config });
+            await handleGeminiStream({ req, res, config, sessionStore, rateLimiter, randomSource });
         } else if (action === 'countTokens') {
-            await handleGeminiCountTokens({ req, res, config });
+            await handleGeminiCountTokens({ req, res, config, rateLimiter });
         } else {
             sendError(res, 'gemini', 404, `Unknown action: ${action}`);
         }
@@ -374,6 +553,14 @@ export function createServer(config, { onListen } = {}) {
         }
     });
 
+    if (trafficLog) {
+        // Flush the traffic log before reporting the server closed, so callers that exit right away keep every line.
+        const closeServer = server.close.bind(server);
+        server.close = (callback) => closeServer((error) => {
+            trafficLog.close().then(() => callback?.(error));
+        });
+    }
+
     return server;
 }
 
@@ -383,9 +570,19 @@ function listEndpoints(config) {
             'GET /',
             'GET /playground',
             'GET /explore',
+            'GET /inspect',
             'GET /openapi.json',
             'GET /openapi.yaml',
             'GET /health',
+            'GET /__debug/requests',
+            'GET /__debug/requests/stream',
+            'GET /__debug/requests/:id',
+            'DELETE /__debug/requests',
+            'DELETE /__debug/state',
+            'POST /__debug/expectations',
+            'GET /__debug/expectations',
+            'DELETE /__debug/expectations',
+            'GET /__debug/verify',
         ],
         openai: [
             'GET /v1/models',
@@ -456,8 +653,16 @@ function getRequestBaseUrl(req, config) {
     return `${protocol}://${host}`;
 }
 
-async function handleOpenAIChat({ req, res, config }) {
+async function handleOpenAIChat({ req, res, config, sessionStore, rateLimiter, randomSource }) {
     const body = req.body || {};
+    const rateLimit = trackRateLimit({
+        req,
+        res,
+        config,
+        rateLimiter,
+        modelName: resolveModelName(body.model, config),
+        provider: 'openai',
+    });
     if (!validateBody(body, OPENAI_CHAT_FIELDS, res, 'openai', config)) {
         return;
     }
@@ -465,18 +670,24 @@ async function handleOpenAIChat({ req, res, config }) {
         return sendError(res, 'openai', 400, 'Missing model');
     }
     const resolvedModel = resolveModelName(body.model, config);
+    res.locals.model = resolvedModel;
     if (shouldRejectModel(resolvedModel, config)) {
         return sendError(res, 'openai', 404, 'Unknown model', 'model', 'invalid_model');
     }
 
-    const { lastUser, allText } = extractOpenAIChatText(body.messages || []);
+    const { lastUser, allText, toolResult, directives } = extractOpenAIChatText(body.messages || []);
+    applyInlineDirectives(req, directives);
     res.locals.inputSummary = lastUser || allText || '';
+    res.locals.resolution = { lastUserMessage: lastUser, toolResult };
 
-    const simulated = getSimulatedError(req, config, body);
+    req.seed = randomSource.requestSeed(req);
+    const simulated = getSimulatedError(req, config, body, sessionStore);
     if (simulated) {
-        return sendError(res, 'openai', simulated.status, simulated.message);
+        return sendSimulatedError(res, 'openai', simulated);
     }
 
+    if (!applyRateLimit({ res, config, rateLimiter, rateLimit, inputText: allText })) return;
+
     const result = await resolveResponse({
         config,
         modelName: resolvedModel,
@@ -484,29 +695,50 @@ async function handleOpenAIChat({ req, res, config }) {
         lastUserMessage: lastUser,
         requestBody: body,
         headers: req.headers,
+        toolResult,
+        sessionStore,
+        seed: req.seed,
     });
 
     res.locals.behavior = result.behavior;
+    res.locals.trigger = result.trigger || null;
+    chargeRateLimit(rateLimiter, rateLimit, result.response);
     if (result.mode === 'file') {
         return handleRecordedResponse({ req, res, config, recorded: result.file });
     }
     if (result.mode === 'error') {
-        return sendError(res, 'openai', result.error.status, result.error.message);
+        return sendSimulatedError(res, 'openai', result.error);
     }
 
     const stream = body.stream === true;
     if (stream) {
         const includeUsage = body.stream_options?.include_usage !== false;
-        const events = buildOpenAIChatStreamEvents({ response: result.response, model: body.model, includeUsage });
-        return streamSse(res, events, calculateDelay(req, config));
+        const events = buildOpenAIChatStreamEvents({
+            response: result.response,
+            model: body.model,
+            includeUsage,
+            chunking: resolveStreamChunking(req, config),
+        });
+        const delays = resolveStreamDelays(req, config, resolvedModel, result.response, events);
+        return streamSse(res, events, delays, {
+            fault: resolveStreamFault(req.headers, result.response.stream_fault, 'openai'),
+        });
     }
 
-    await applyDelay(req, config);
+    await applyResponseDelay(req, config, resolvedModel, result.response);
     return res.json(buildOpenAIChatResponse({ response: result.response, model: body.model }));
 }
 
-async function handleOpenAICompletions({ req, res, config }) {
+async function handleOpenAICompletions({ req, res, config, sessionStore, rateLimiter, randomSource }) {
     const body = req.body || {};
+    const rateLimit = trackRateLimit({
+        req,
+        res,
+        config,
+        rateLimiter,
+        modelName: resolveModelName(body.model, config),
+        provider: 'openai',
+    });
     if (!validateBody(body, OPENAI_COMPLETIONS_FIELDS, res, 'openai', config)) {
         return;
     }
@@ -514,18 +746,24 @@ async function handleOpenAICompletions({ req, res, config }) {
         return sendError(res, 'openai', 400, 'Missing model');
     }
     const resolvedModel = resolveModelName(body.model, config);
+    res.locals.model = resolvedModel;
     if (shouldRejectModel(resolvedModel, config)) {
         return sendError(res, 'openai', 404, 'Unknown model', 'model', 'invalid_model');
     }
 
-    const promptText = extractPromptText(body.prompt);
+    const { text: promptText, directives } = extractInlineDirectives(extractPromptText(body.prompt));
+    applyInlineDirectives(req, directives);
     res.locals.inputSummary = promptText;
+    res.locals.resolution = { lastUserMessage: promptText, toolResult: null };
 
-    const simulated = getSimulatedError(req, config, body);
+    req.seed = randomSource.requestSeed(req);
+    const simulated = getSimulatedError(req, config, body, sessionStore);
     if (simulated) {
-        return sendError(res, 'openai', simulated.status, simulated.message);
+        return sendSimulatedError(res, 'openai', simulated);
     }
 
+    if (!applyRateLimit({ res, config, rateLimiter, rateLimit, inputText: promptText })) return;
+
     const result = await resolveResponse({
         config,
         modelName: resolvedModel,
@@ -533,28 +771,34 @@ async function handleOpenAICompletions({ req, res, config }) {
         lastUserMessage: promptText,
         requestBody: body,
         headers: req.headers,
+        sessionStore,
+        seed: req.seed,
     });
 
     res.locals.behavior = result.behavior;
+    res.locals.trigger = result.trigger || null;
+    chargeRateLimit(rateLimiter, rateLimit, result.response);
     if (result.mode === 'file') {
         return handleRecordedResponse({ req, res, config, recorded: result.file });
     }
     if (result.mode === 'error') {
-        return sendError(res, 'openai', result.error.status, result.error.message);
+        return sendSimulatedError(res, 'openai', result.error);
     }
 
-    await applyDelay(req, config);
-    return res.json(
-        buildOpenAICompletionResponse({
-            text: result.response.content ?? '',
-            model: body.model,
-            usage: result.response.usage,
-        }),
-    );
+    await applyResponseDelay(req, config, resolvedModel, result.response);
+    return res.json(buildOpenAICompletionResponse({ response: result.response, model: body.model }));
 }
 
-async function handleOpenAIEmbeddings({ req, res, config }) {
+async function handleOpenAIEmbeddings({ req, res, config, rateLimiter }) {
     const body = req.body || {};
+    const rateLimit = trackRateLimit({
+        req,
+        res,
+        config,
+        rateLimiter,
+        modelName: resolveModelName(body.model, config),
+        provider: 'openai',
+    });
     if (!validateBody(body, OPENAI_EMBEDDINGS_FIELDS, res, 'openai', config)) {
         return;
     }
@@ -562,18 +806,21 @@ async function handleOpenAIEmbeddings({ req, res, config }) {
         return sendError(res, 'openai', 400, 'Missing model');
     }
     const resolvedModel = resolveModelName(body.model, config);
+    res.locals.model = resolvedModel;
     if (shouldRejectModel(resolvedModel, config)) {
         return sendError(res, 'openai', 404, 'Unknown model', 'model', 'invalid_model');
     }
 
     const input = body.input;
     const inputs = Array.isArray(input) ? input : [input];
+    const totalInput = inputs.map((item) => String(item ?? ''));
+    if (!applyRateLimit({ res, config, rateLimiter, rateLimit, inputText: totalInput.join(' ') })) return;
+
     const rawEmbeddings = inputs.map((item) => generateEmbedding(String(item ?? ''), config.embeddingSize));
     const encodingFormat = body.encoding_format || 'float';
     const embeddings = encodingFormat === 'base64'
         ? rawEmbeddings.map(encodeEmbeddingBase64)
         : rawEmbeddings;
-    const totalInput = inputs.map((item) => String(item ?? ''));
     const usage = { input: combineTokens(totalInput, config.tokenCounting) };
 
     res.locals.inputSummary = totalInput.join(' ');
@@ -583,8 +830,16 @@ async function handleOpenAIEmbeddings({ req, res, config }) {
     return res.json(buildOpenAIEmbeddingResponse({ embeddings, model: body.model, usage }));
 }
 
-async function handleOpenAIResponses({ req, res, config }) {
+async function handleOpenAIResponses({ req, res, config, sessionStore, rateLimiter, randomSource }) {
     const body = req.body || {};
+    const rateLimit = trackRateLimit({
+        req,
+        res,
+        config,
+        rateLimiter,
+        modelName: resolveModelName(body.model, config),
+        provider: 'openai',
+    });
     if (!validateBody(body, OPENAI_RESPONSES_FIELDS, res, 'openai', config)) {
         return;
     }
@@ -592,46 +847,73 @@ async function handleOpenAIResponses({ req, res, config }) {
         return sendError(res, 'openai', 400, 'Missing model');
     }
     const resolvedModel = resolveModelName(body.model, config);
+    res.locals.model = resolvedModel;
     if (shouldRejectModel(resolvedModel, config)) {
         return sendError(res, 'openai', 404, 'Unknown model', 'model', 'invalid_model');
     }
 
-    const inputText = extractInputText(body.input);
-    res.locals.inputSummary = inputText;
+    const { lastUser, allText, toolResult, directives } = extractResponsesText(body.input);
+    applyInlineDirectives(req, directives);
+    res.locals.inputSummary = lastUser || allText || '';
+    res.locals.resolution = { lastUserMessage: lastUser, toolResult };
 
-    const simulated = getSimulatedError(req, config, body);
+    req.seed = randomSource.requestSeed(req);
+    const simulated = getSimulatedError(req, config, body, sessionStore);
     if (simulated) {
-        return sendError(res, 'openai', simulated.status, simulated.message);
+        return sendSimulatedError(res, 'openai', simulated);
     }
 
+    if (!applyRateLimit({ res, config, rateLimiter, rateLimit, inputText: allText })) return;
+
     const result = await resolveResponse({
         config,
         modelName: resolvedModel,
-        inputText,
-        lastUserMessage: inputText,
+        inputText: allText,
+        lastUserMessage: lastUser,
         requestBody: body,
         headers: req.headers,
+        toolResult,
+        sessionStore,
+        seed: req.seed,
     });
 
     res.locals.behavior = result.behavior;
+    res.locals.trigger = result.trigger || null;
+    chargeRateLimit(rateLimiter, rateLimit, result.response);
     if (result.mode === 'file') {
         return handleRecordedResponse({ req, res, config, recorded: result.file });
     }
     if (result.mode === 'error') {
-        return sendError(res, 'openai', result.error.status, result.error.message);
+        return sendSimulatedError(res, 'openai', result.error);
     }
 
     if (body.stream === true) {
-        const events = buildOpenAIResponsesEvents({ response: result.response, model: body.model });
-        return streamSse(res, events, calculateDelay(req, config));
+        const events = buildOpenAIResponsesEvents({
+            response: result.response,
+            model: body.model,
+            chunking: resolveStreamChunking(req, config),
+        });
+        const delays = resolveStreamDelays(req, config, resolvedModel, result.response, events);
+        return streamSse(res, events, delays, {
+            includeEvent: true,
+            fault: resolveStreamFault(req.headers, result.response.stream_fault, 'responses'),
+        });
     }
 
-    await applyDelay(req, config);
+    await applyResponseDelay(req, config, resolvedModel, result.response);
     return res.json(buildOpenAIResponsesResponse({ response: result.response, model: body.model }));
 }
 
-async function handleAnthropicMessages({ req, res, config }) {
+async function handleAnthropicMessages({ req, res, config, sessionStore, rateLimiter, randomSource }) {
     const body = req.body || {};
+    const rateLimit = trackRateLimit({
+        req,
+        res,
+        config,
+        rateLimiter,
+        modelName: resolveModelName(body.model, config),
+        provider: 'anthropic',
+    });
     if (!validateBody(body, ANTHROPIC_MESSAGE_FIELDS, res, 'anthropic', config)) {
         return;
     }
@@ -639,18 +921,24 @@ async function handleAnthropicMessages({ req, res, config }) {
         return sendError(res, 'anthropic', 400, 'Missing model');
     }
     const resolvedModel = resolveModelName(body.model, config);
+    res.locals.model = resolvedModel;
     if (shouldRejectModel(resolvedModel, config)) {
         return sendError(res, 'anthropic', 404, 'Unknown model');
     }
 
-    const { lastUser, allText } = extractAnthropicText(body.messages || []);
+    const { lastUser, allText, toolResult, directives } = extractAnthropicText(body.messages || []);
+    applyInlineDirectives(req, directives);
     res.locals.inputSummary = lastUser || allText || '';
+    res.locals.resolution = { lastUserMessage: lastUser, toolResult };
 
-    const simulated = getSimulatedError(req, config, body);
+    req.seed = randomSource.requestSeed(req);
+    const simulated = getSimulatedError(req, config, body, sessionStore);
     if (simulated) {
-        return sendError(res, 'anthropic', simulated.status, simulated.message);
+        return sendSimulatedError(res, 'anthropic', simulated);
     }
 
+    if (!applyRateLimit({ res, config, rateLimiter, rateLimit, inputText: allText })) return;
+
     const result = await resolveResponse({
         config,
         modelName: resolvedModel,
@@ -658,27 +946,48 @@ async function handleAnthropicMessages({ req, res, config }) {
         lastUserMessage: lastUser,
         requestBody: body,
         headers: req.headers,
+        toolResult,
+        sessionStore,
+        seed: req.seed,
     });
 
     res.locals.behavior = result.behavior;
+    res.locals.trigger = result.trigger || null;
+    chargeRateLimit(rateLimiter, rateLimit, result.response);
     if (result.mode === 'file') {
         return handleRecordedResponse({ req, res, config, recorded: result.file });
     }
     if (result.mode === 'error') {
-        return sendError(res, 'anthropic', result.error.status, result.error.message);
+        return sendSimulatedError(res, 'anthropic', result.error);
     }
 
     if (body.stream === true) {
-        const events = buildAnthropicStreamEvents({ response: result.response, model: body.model });
-        return streamSse(res, events, calculateDelay(req, config), { includeEvent: true });
+        const events = buildAnthropicStreamEvents({
+            response: result.response,
+            model: body.model,
+            chunking: resolveStreamChunking(req, config),
+        });
+        const delays = resolveStreamDelays(req, config, resolvedModel, result.response, events);
+        return streamSse(res, events, delays, {
+            includeEvent: true,
+            fault: resolveStreamFault(req.headers, result.response.stream_fault, 'anthropic'),
+        });
     }
 
-    await applyDelay(req, config);
+    await applyResponseDelay(req, config, resolvedModel, result.response);
     return res.json(buildAnthropicMessageResponse({ response: result.response, model: body.model }));
 }
 
-async function handleAnthropicCountTokens({ req, res, config }) {
+async function handleAnthropicCountTokens({ req, res, config, rateLimiter }) {
     const body = req.body || {};
+    trackRateLimit({
+        req,
+        res,
+        config,
+        rateLimiter,
+        modelName: resolveModelName(body.model, config),
+        provider: 'anthropic',
+    });
     if (!validateBody(body, ANTHROPIC_COUNT_FIELDS, res, 'anthropic', config)) {
         return;
     }
@@ -689,25 +998,39 @@ async function handleAnthropicCountTokens({ req, res, config }) {
     return res.json({ input_tokens: countTokens(allText, config.tokenCounting) });
 }
 
-async function handleGeminiGenerate({ req, res, config }) {
+async function handleGeminiGenerate({ req, res, config, sessionStore, rateLimiter, randomSource }) {
     const body = req.body || {};
+    const rateLimit = trackRateLimit({
+        req,
+        res,
+        config,
+        rateLimiter,
+        modelName: resolveModelName(req.params.model, config),
+        provider: 'gemini',
+    });
     if (!validateBody(body, GEMINI_GENERATE_FIELDS, res, 'gemini', config)) {
         return;
     }
     const model = req.params.model;
     const resolvedModel = resolveModelName(model, config);
+    res.locals.model = resolvedModel;
     if (shouldRejectModel(resolvedModel, config)) {
         return sendError(res, 'gemini', 404, 'Unknown model');
     }
 
-    const { lastUser, allText } = extractGeminiText(body.contents || []);
+    const { lastUser, allText, toolResult, directives } = extractGeminiText(body.contents || []);
+    applyInlineDirectives(req, directives);
     res.locals.inputSummary = lastUser || allText || '';
+    res.locals.resolution = { lastUserMessage: lastUser, toolResult };
 
-    const simulated = getSimulatedError(req, config, body);
+    req.seed = randomSource.requestSeed(req);
+    const simulated = getSimulatedError(req, config, body, sessionStore);
     if (simulated) {
-        return sendError(res, 'gemini', simulated.status, simulated.message);
+        return sendSimulatedError(res, 'gemini', simulated);
     }
 
+    if (!applyRateLimit({ res, config, rateLimiter, rateLimit, inputText: allText })) return;
+
     const result = await resolveResponse({
         config,
         modelName: resolvedModel,
@@ -715,39 +1038,58 @@ async function handleGeminiGenerate({ req, res, config }) {
         lastUserMessage: lastUser,
         requestBody: body,
         headers: req.headers,
+        toolResult,
+        sessionStore,
+        seed: req.seed,
     });
 
     res.locals.behavior = result.behavior;
+    res.locals.trigger = result.trigger || null;
+    chargeRateLimit(rateLimiter, rateLimit, result.response);
     if (result.mode === 'file') {
         return handleRecordedResponse({ req, res, config, recorded: result.file });
     }
     if (result.mode === 'error') {
-        return sendError(res, 'gemini', result.error.status, result.error.message);
+        return sendSimulatedError(res, 'gemini', result.error);
     }
 
-    await applyDelay(req, config);
+    await applyResponseDelay(req, config, resolvedModel, result.response);
     return res.json(buildGeminiGenerateResponse({ response: result.response, model }));
 }
 
-async function handleGeminiStream({ req, res, config }) {
+async function handleGeminiStream({ req, res, config, sessionStore, rateLimiter, randomSource }) {
     const body = req.body || {};
+    const rateLimit = trackRateLimit({
+        req,
+        res,
+        config,
+        rateLimiter,
+        modelName: resolveModelName(req.params.model, config),
+        provider: 'gemini',
+    });
     if (!validateBody(body, GEMINI_GENERATE_FIELDS, res, 'gemini', config)) {
         return;
     }
     const model = req.params.model;
     const resolvedModel = resolveModelName(model, config);
+    res.locals.model = resolvedModel;
     if (shouldRejectModel(resolvedModel, config)) {
         return sendError(res, 'gemini', 404, 'Unknown model');
     }
 
-    const { lastUser, allText } = extractGeminiText(body.contents || []);
+    const { lastUser, allText, toolResult, directives } = extractGeminiText(body.contents || []);
+    applyInlineDirectives(req, directives);
     res.locals.inputSummary = lastUser || allText || '';
+    res.locals.resolution = { lastUserMessage: lastUser, toolResult };
 
-    const simulated = getSimulatedError(req, config, body);
+    req.seed = randomSource.requestSeed(req);
+    const simulated = getSimulatedError(req, config, body, sessionStore);
     if (simulated) {
-        return sendError(res, 'gemini', simulated.status, simulated.message);
+        return sendSimulatedError(res, 'gemini', simulated);
     }
 
+    if (!applyRateLimit({ res, config, rateLimiter, rateLimit, inputText: allText })) return;
+
     const result = await resolveResponse({
         config,
         modelName: resolvedModel,
@@ -755,28 +1097,58 @@ async function handleGeminiStream({ req, res, config }) {
         lastUserMessage: lastUser,
         requestBody: body,
         headers: req.headers,
+        toolResult,
+        sessionStore,
+        seed: req.seed,
     });
 
     res.locals.behavior = result.behavior;
+    res.locals.trigger = result.trigger || null;
+    chargeRateLimit(rateLimiter, rateLimit, result.response);
     if (result.mode === 'file') {
         return handleRecordedResponse({ req, res, config, recorded: result.file });
     }
     if (result.mode === 'error') {
-        return sendError(res, 'gemini', result.error.status, result.error.message);
+        return sendSimulatedError(res, 'gemini', result.error);
     }
 
-    const chunks = buildGeminiStreamChunks({ response: result.response, model });
+    const chunks = buildGeminiStreamChunks({
+        response: result.response,
+        model,
+        chunking: resolveStreamChunking(req, config),
+    });
     const streamFormat = req.query.stream_format;
     const isNdjson = streamFormat === 'ndjson';
 
-    return streamSse(res, chunks.map((data) => ({ data })), calculateDelay(req, config), {
+    const fault = resolveStreamFault(req.headers, result.response.stream_fault, 'gemini');
+    const events = chunks.map((data) => ({ data: fault?.type === 'omit_done' ? omitGeminiFinishReason(data) : data }));
+    const delays = resolveStreamDelays(req, config, resolvedModel, result.response, events);
+    return streamSse(res, events, delays, {
         contentType: isNdjson ? 'application/x-ndjson' : 'text/event-stream',
         useNdjson: isNdjson,
+        fault,
+        hasTerminator: false,
     });
 }
 
-async function handleGeminiCountTokens({ req, res, config }) {
+// Gemini streams have no terminating event, so omit_done drops the finish reasons and keeps usageMetadata.
+function omitGeminiFinishReason(chunk) {
+    return {
+        ...chunk,
+        candidates: chunk.candidates.map(({ finishReason, ...candidate }) => candidate),
+    };
+}
+
+async function handleGeminiCountTokens({ req, res, config, rateLimiter }) {
     const body = req.body || {};
+    trackRateLimit({
+        req,
+        res,
+        config,
+        rateLimiter,
+        modelName: resolveModelName(req.params.model, config),
+        provider: 'gemini',
+    });
     if (!validateBody(body, GEMINI_COUNT_FIELDS, res, 'gemini', config)) {
         return;
     }
@@ -1020,6 +1392,119 @@ function calculateDelay(req, config, extraDelay = 0) {
     return (config.latencyMs || 0) + headerDelay + extraDelay;
 }
 
+// Installed before validation and headers are filled in when the response head goes out, so every response for a
+// limited model carries them, including validation and simulated errors, and they already include the output tokens
+// charged for this request. Requests without a model use the global limits.
+function trackRateLimit({ req, res, config, rateLimiter, modelName, provider }) {
+    const limits = resolveRateLimits(config, modelName);
+    if (!limits) return null;
+
+    const key = `${extractApiKey(req)}:${modelName || '*'}`;
+    const writeHead = res.writeHead;
+    res.writeHead = function writeHeadWithRateLimits(...args) {
+        const headers = buildRateLimitHeaders(provider, rateLimiter.snapshot(key, limits));
+        for (const [name, value] of Object.entries(headers)) {
+            if (!this.hasHeader(name)) this.setHeader(name, value);
+        }
+        return writeHead.apply(this, args);
+    };
+    return { key, limits, modelName, provider };
+}
+
+// Returns false once a 429 has been sent.
+function applyRateLimit({ res, config, rateLimiter, rateLimit, inputText }) {
+    if (!rateLimit) return true;
+
+    const { key, limits, modelName, provider } = rateLimit;
+    const result = rateLimiter.consume(key, limits, countTokens(inputText, config.tokenCounting));
+    if (result.oversized) {
+        sendSimulatedError(res, provider, normalizeErrorDirective({
+            status: 429,
+            message: `Request too large for ${modelName}: needs more than ${limits.tokens} tokens per min.`,
+            should_retry: false,
+        }));
+        return false;
+    }
+    if (!result.allowed) {
+        sendSimulatedError(res, provider, normalizeErrorDirective({
+            status: 429,
+            message: `Rate limit reached for ${modelName}. Please try again in ${result.retryAfterMs}ms.`,
+            retry_after_ms: result.retryAfterMs,
+        }));
+        return false;
+    }
+    return true;
+}
+
+function chargeRateLimit(rateLimiter, rateLimit, response) {
+    if (!rateLimit || !response?.usage) return;
+    rateLimiter.charge(rateLimit.key, rateLimit.limits, response.usage.output ?? 0);
+}
+
+function resolveRateLimits(config, modelName) {
+    const modelLimits = resolveModelRateLimits(modelName, config.modelRegistry) || {};
+    const requests = parseInteger(modelLimits.requests_per_minute, config.rateLimitRpm) || 0;
+    const tokens = parseInteger(modelLimits.tokens_per_minute, config.rateLimitTpm) || 0;
+    if (requests <= 0 && tokens <= 0) return null;
+    return { requests, tokens };
+}
+
+function extractApiKey(req) {
+    const authorization = normalizeHeaderValue(req.headers.authorization) || '';
+    return authorization.replace(/^Bearer\s+/i, '')
+        || normalizeHeaderValue(req.headers['x-api-key'])
+        || normalizeHeaderValue(req.headers['x-goog-api-key'])
+        || req.query.key
+        || 'anonymous';
+}
+
+// Inline message directives stand in for debug headers and take precedence over them.
+function applyInlineDirectives(req, directives) {
+    Object.assign(req.headers, directives);
+}
+
+function resolveStreamChunking(req, config) {
+    const headerSize = parseInteger(normalizeHeaderValue(req.headers['x-stream-chunk-size']), 0);
+    const headerUnit = normalizeHeaderValue(req.headers['x-stream-chunk-unit']);
+    return {
+        size: headerSize > 0 ? headerSize : config.streamChunkSize,
+        unit: headerUnit ? normalizeChunkUnit(headerUnit) : config.streamChunkUnit,
+    };
+}
+
+function resolveLatencyProfile(config, modelName, response) {
+    return mergeLatencyProfiles(
+        config.latencyProfile,
+        resolveModelLatency(modelName, config.modelRegistry),
+        response?.latency,
+    );
+}
+
+function resolveStreamDelays(req, config, modelName, response, events) {
+    const baseDelayMs = calculateDelay(req, config);
+    const profile = resolveLatencyProfile(config, modelName, response);
+    if (!profile) return baseDelayMs;
+    return buildLatencySchedule(profile, {
+        contentEvents: events.map((event) => isContentEvent(event)),
+        outputTokens: response.usage?.output ?? 0,
+        baseDelayMs,
+        seed: req.seed,
+    });
+}
+
+async function applyResponseDelay(req, config, modelName, response) {
+    const profile = resolveLatencyProfile(config, modelName, response);
+    if (!profile) return applyDelay(req, config);
+    const delayMs = calculateLatencyTotal(profile, {
+        outputTokens: response.usage?.output ?? 0,
+        baseDelayMs: calculateDelay(req, config),
+        seed: req.seed,
+    });
+    if (delayMs > 0) {
+        await delay(delayMs);
+    }
+}
+
 async function applyDelay(req, config, extraDelay = 0) {
     const delayMs = calculateDelay(req, config, extraDelay);
     if (delayMs > 0) {
@@ -1027,83 +1512,116 @@ async function applyDelay(req, config, extraDelay = 0) {
     }
 }
 
-function getSimulatedError(req, config, body) {
+function getSimulatedError(req, config, body, sessionStore) {
     const headerValue = normalizeHeaderValue(req.headers['x-error']);
     const simulateValue = body?.simulate_error;
-    const directive = headerValue ?? simulateValue;
+    const directive = expandFlakyShorthand(headerValue ?? simulateValue);
+
+    if (directive?.type === 'flaky') {
+        return resolveFlakyError(directive, {
+            headers: req.headers,
+            requestBody: body,
+            sessionStore,
+            scope: 'request',
+        });
+    }
 
     if (directive !== undefined && directive !== null && directive !== '') {
-        if (typeof directive === 'object') {
-            return {
-                status: directive.status || 400,
-                message: directive.message || 'Simulated error',
-            };
-        }
-        const parsed = parseInteger(directive, null);
-        return {
-            status: parsed || 400,
-            message: `Simulated error (${directive})`,
-        };
+        const fallbackMessage = typeof directive === 'object' ? 'Simulated error' : `Simulated error (${directive})`;
+        return normalizeErrorDirective(directive, { fallbackMessage });
     }
 
-    if (config.errorRate > 0 && body?.seed !== undefined) {
-        const seed = Number(body.seed);
-        if (Number.isFinite(seed)) {
-            const random = seededRandom(seed);
-            if (random < config.errorRate) {
-                return { status: 500, message: 'Simulated error' };
-            }
+    if (config.errorRate > 0) {
+        const roll = req.seed === null ? Math.random() : createSeededRandom(`${req.seed}:error`)();
+        if (roll < config.errorRate) {
+            return normalizeErrorDirective({ status: 500, message: 'Simulated error' });
         }
     }
 
     return null;
 }
 
-function seededRandom(seed) {
-    const x = Math.sin(seed) * 10000;
-    return x - Math.floor(x);
-}
-
-function streamSse(res, events, delayMs, { includeEvent = false, contentType = 'text/event-stream', useNdjson = false } = {}) {
+function streamSse(res, events, delayMs, options = {}) {
+    const {
+        includeEvent = false,
+        contentType = 'text/event-stream',
+        useNdjson = false,
+        fault = null,
+        hasTerminator = true,
+    } = options;
     res.status(200);
     res.setHeader('Content-Type', contentType);
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
 
-    let chunkDelay = 0;
-    if (delayMs > 0 && events.length > 0) {
-        chunkDelay = Math.floor(delayMs / events.length);
-    }
+    const planned = fault?.type === 'omit_done' && hasTerminator ? events.slice(0, -1) : events;
+    const faultAt = fault && fault.type !== 'omit_done'
+        ? Math.min(Math.max(fault.after ?? Math.floor(planned.length / 2), 0), planned.length)
+        : -1;
+
+    const delays = Array.isArray(delayMs)
+        ? delayMs
+        : planned.map(() => (delayMs > 0 ? Math.floor(delayMs / planned.length) : 0));
+
+    const stream = { chunksSent: 0, totalChunks: planned.length, fault: fault?.type || null, chunks: [] };
+    res.locals.stream = stream;
+    const disconnect = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            disconnect.abort();
+        }
+    });
 
-    const writeEvent = async (event) => {
+    const formatEvent = (event) => {
         if (useNdjson) {
-            res.write(`${JSON.stringify(event.data)}\n`);
-            return;
+            return `${JSON.stringify(event.data)}\n`;
         }
 
-        if (event.event && includeEvent) {
-            res.write(`event: ${event.event}\n`);
+        const prefix = event.event && includeEvent ? `event: ${event.event}\n` : '';
+        if (typeof event.data === 'string') {
+            return `${prefix}data: ${event.data}\n\n`;
         }
-        if (event.data === '[DONE]') {
-            res.write('data: [DONE]\n\n');
-        } else if (typeof event.data === 'string') {
-            res.write(`data: ${event.data}\n\n`);
-        } else {
-            res.write(`data: ${JSON.stringify(event.data)}\n\n`);
+        return `${prefix}data: ${JSON.stringify(event.data)}\n\n`;
+    };
+
+    const injectFault = () => {
+        if (fault.type === 'destroy') {
+            res.destroy();
+            return;
+        }
+        if (fault.type === 'hang') {
+            return;
+        }
+        if (fault.type === 'malformed') {
+            const text = formatEvent(planned[faultAt] || { data: { object: 'chunk' } }).trimEnd();
+            res.write(`${text.slice(0, Math.ceil(text.length / 2))}\n\n`);
+        } else if (fault.type === 'error') {
+            res.write(formatEvent(fault.errorEvent));
         }
+        res.end();
     };
 
     const run = async () => {
-        for (const event of events) {
-            if (chunkDelay > 0) {
-                await delay(chunkDelay);
+        for (const [index, event] of planned.entries()) {
+            if (index === faultAt) {
+                return injectFault();
             }
-            await writeEvent(event);
+            if (delays[index] > 0) {
+                await delay(delays[index], undefined, { signal: disconnect.signal });
+            }
+            if (disconnect.signal.aborted) return;
+            res.write(formatEvent(event));
+            stream.chunksSent += 1;
+            stream.chunks.push({ at: Date.now(), ...(event.event ? { event: event.event } : {}), data: event.data });
+        }
+        if (faultAt === planned.length) {
+            return injectFault();
         }
         res.end();
     };
 
     run().catch((error) => {
+        if (error.name === 'AbortError') return;
         console.error('Streaming error', error);
         res.end();
     });
@@ -1124,32 +1642,12 @@ function validateBody(body, allowedFields, res, provider, config) {
 }
 
 function sendError(res, provider, status, message, param, code) {
-    if (provider === 'anthropic') {
-        return res.status(status).json({
-            type: 'error',
-            error: {
-                type: 'invalid_request_error',
-                message,
-            },
-        });
-    }
-    if (provider === 'gemini') {
-        return res.status(status).json({
-            error: {
-                code: status,
-                message,
-                status: 'INVALID_ARGUMENT',
-            },
-        });
-    }
-    return res.status(status).json({
-        error: {
-            message,
-            type: 'invalid_request_error',
-            param,
-            code,
-        },
-    });
+    return res.status(status).json(buildErrorBody(provider, { status, message, param, code }));
+}
+
+function sendSimulatedError(res, provider, error) {
+    res.set(buildRetryHeaders(error));
+    return res.status(error.status).json(buildErrorBody(provider, error));
 }
 
 function generateEmbedding(text, size) {
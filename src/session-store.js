@@ -0,0 +1,30 @@
+export class SessionStore {
+    constructor() {
+        this.counters = new Map();
+        this.fingerprints = new Map();
+    }
+
+    next(key) {
+        const count = this.counters.get(key) ?? 0;
+        this.counters.set(key, count + 1);
+        return count;
+    }
+
+    current(key) {
+        return Math.max((this.counters.get(key) ?? 0) - 1, 0);
+    }
+
+    // Like next(), but a retry of the request that took the current turn gets that turn again.
+    nextAttempt(key, fingerprint, isRetry) {
+        if (isRetry && this.counters.has(key) && this.fingerprints.get(key) === fingerprint) {
+            return this.current(key);
+        }
+        this.fingerprints.set(key, fingerprint);
+        return this.next(key);
+    }
+
+    reset() {
+        this.counters.clear();
+        this.fingerprints.clear();
+    }
+}
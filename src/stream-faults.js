@@ -0,0 +1,52 @@
+import { normalizeHeaderValue, parseInteger } from './utils.js';
+
+const FAULT_TYPES = new Set(['destroy', 'hang', 'malformed', 'error', 'omit_done']);
+
+export function resolveStreamFault(headers = {}, directive, provider) {
+    const headerType = normalizeHeaderValue(headers['x-stream-fault']);
+    const fault = headerType
+        ? { type: headerType, after: normalizeHeaderValue(headers['x-stream-fault-after']) }
+        : normalizeFault(directive);
+    if (!fault) return null;
+
+    const type = String(fault.type).trim().toLowerCase().replace(/-/g, '_');
+    if (!FAULT_TYPES.has(type)) return null;
+
+    return {
+        type,
+        after: parseInteger(fault.after, null),
+        errorEvent: type === 'error' ? buildStreamErrorEvent(provider, fault.message) : null,
+    };
+}
+
+export function buildStreamErrorEvent(provider, message) {
+    if (provider === 'anthropic') {
+        return {
+            event: 'error',
+            data: { type: 'error', error: { type: 'overloaded_error', message: message || 'Overloaded' } },
+        };
+    }
+    if (provider === 'responses') {
+        return {
+            event: 'error',
+            data: { type: 'error', code: 'server_error', message: message || 'The server had an error', param: null },
+        };
+    }
+    if (provider === 'gemini') {
+        return {
+            data: { error: { code: 503, message: message || 'The model is overloaded.', status: 'UNAVAILABLE' } },
+        };
+    }
+    return {
+        data: {
+            error: { message: message || 'The server had an error', type: 'server_error', param: null, code: null },
+        },
+    };
+}
+
+function normalizeFault(directive) {
+    if (!directive) return null;
+    if (typeof directive === 'string') return { type: directive };
+    if (typeof directive === 'object' && directive.type) return directive;
+    return null;
+}
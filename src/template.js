@@ -0,0 +1,56 @@
+const TEMPLATE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+export function buildTemplateContext({
+    modelName,
+    inputText,
+    lastUserMessage,
+    requestBody,
+    headers,
+    captures,
+    toolResult,
+}) {
+    const history = requestBody?.messages || requestBody?.contents || requestBody?.input;
+    const matchGroups = Array.isArray(captures) ? captures : [];
+    return {
+        ...Object.fromEntries(matchGroups.map((value, index) => [String(index), value])),
+        last_user: lastUserMessage || '',
+        input: inputText || '',
+        model: modelName || requestBody?.model || '',
+        message_count: Array.isArray(history) ? history.length : history ? 1 : 0,
+        match: matchGroups,
+        tool_result: toolResult || { name: '', content: '' },
+        request: { body: requestBody || {} },
+        headers: headers || {},
+    };
+}
+
+export function renderTemplate(text, context) {
+    if (typeof text !== 'string' || !text.includes('{{')) return text;
+    return text.replace(TEMPLATE_PATTERN, (_, path) => formatTemplateValue(lookupPath(context, path)));
+}
+
+export function renderTemplateValue(value, context) {
+    if (typeof value === 'string') return renderTemplate(value, context);
+    if (Array.isArray(value)) return value.map((item) => renderTemplateValue(item, context));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, renderTemplateValue(item, context)]),
+        );
+    }
+    return value;
+}
+
+function lookupPath(context, path) {
+    let current = context;
+    for (const segment of path.split('.')) {
+        if (current === undefined || current === null) return undefined;
+        current = current[segment] ?? current[segment.toLowerCase()];
+    }
+    return current;
+}
+
+function formatTemplateValue(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
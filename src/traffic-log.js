@@ -0,0 +1,97 @@
+import { createWriteStream, existsSync, mkdirSync, openSync, renameSync, statSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { redactFields } from './utils.js';
+
+const MAX_ROTATED_FILES = 5;
+
+// Appends captured requests to a JSONL file, rotating it to `<path>.1`..`<path>.5` by size or age.
+// Writes go through an append stream so the request path never blocks on disk; `close()` flushes it.
+export class TrafficLog {
+    constructor({ path, maxBytes = 0, maxAgeMs = 0, redact = [], now = () => Date.now() }) {
+        this.path = path;
+        this.maxBytes = maxBytes;
+        this.maxAgeMs = maxAgeMs;
+        this.redact = new Set(redact.map((name) => name.toLowerCase()));
+        this.now = now;
+        mkdirSync(dirname(path), { recursive: true });
+        const existing = existsSync(path) ? statSync(path) : null;
+        this.size = existing?.size ?? 0;
+        this.openedAt = existing?.mtimeMs ?? this.now();
+        this.stream = this.open();
+    }
+
+    // The descriptor is opened synchronously so a rename during rotation moves pending writes with the file.
+    open() {
+        return createWriteStream(null, { fd: openSync(this.path, 'a') });
+    }
+
+    append(entry) {
+        const line = `${JSON.stringify(this.prepare(entry))}\n`;
+        const bytes = Buffer.byteLength(line);
+        if (this.shouldRotate(bytes)) {
+            this.rotate();
+        }
+        this.stream.write(line);
+        this.size += bytes;
+    }
+
+    close() {
+        return new Promise((resolve) => this.stream.end(resolve));
+    }
+
+    // Only headers and query parameters are masked; bodies are logged as sent so prompts stay greppable.
+    prepare(entry) {
+        const { chunks, ...stream } = entry.stream ?? {};
+        return {
+            ...entry,
+            request: entry.request && {
+                ...entry.request,
+                headers: redactFields(entry.request.headers, this.redact),
+                query: redactFields(entry.request.query, this.redact),
+            },
+            response: entry.response && {
+                ...entry.response,
+                headers: redactFields(entry.response.headers, this.redact),
+            },
+            ...(entry.stream ? { stream: { ...stream, output: reassembleStreamOutput(chunks ?? []) } } : {}),
+        };
+    }
+
+    shouldRotate(bytes) {
+        if (this.size === 0) return false;
+        if (this.maxBytes > 0 && this.size + bytes > this.maxBytes) return true;
+        return this.maxAgeMs > 0 && this.now() - this.openedAt >= this.maxAgeMs;
+    }
+
+    rotate() {
+        for (let index = MAX_ROTATED_FILES - 1; index >= 1; index -= 1) {
+            const source = `${this.path}.${index}`;
+            if (existsSync(source)) renameSync(source, `${this.path}.${index + 1}`);
+        }
+        renameSync(this.path, `${this.path}.1`);
+        this.stream.end();
+        this.stream = this.open();
+        this.size = 0;
+        this.openedAt = this.now();
+    }
+}
+
+// Joins the text deltas of the first choice across provider stream shapes.
+export function reassembleStreamOutput(chunks) {
+    return chunks.map(({ data }) => extractChunkText(data)).join('');
+}
+
+function extractChunkText(data) {
+    if (!data || typeof data !== 'object') return '';
+    if (data.type === 'content_block_delta') return data.delta?.text ?? '';
+    if (data.type === 'response.output_text.delta') return data.delta ?? '';
+    if (Array.isArray(data.choices)) {
+        const choice = data.choices.find((item) => (item.index ?? 0) === 0);
+        return choice?.delta?.content ?? choice?.text ?? '';
+    }
+    if (Array.isArray(data.candidates)) {
+        const candidate = data.candidates.find((item) => (item.index ?? 0) === 0);
+        return (candidate?.content?.parts ?? []).map((part) => (part.thought ? '' : part.text ?? '')).join('');
+    }
+    return '';
+}
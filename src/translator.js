@@ -1,78 +1,56 @@
-import { generateId, nowSeconds } from './utils.js';
+import { generateId, hashString, nowSeconds, splitIntoChunks } from './utils.js';
 
 export function buildOpenAIChatResponse({ response, model }) {
     const id = generateId('chatcmpl');
     const created = nowSeconds();
     const usage = mapUsageToOpenAIChat(response.usage);
-    const toolCalls = response.tool_calls ? toOpenAIToolCalls(response.tool_calls) : undefined;
 
     return {
         id,
         object: 'chat.completion',
         created,
         model,
-        choices: [
-            {
-                index: 0,
+        choices: listChoices(response).map((choice, index) => {
+            const toolCalls = choice.tool_calls ? toOpenAIToolCalls(choice.tool_calls) : undefined;
+            const isRefusal = choice.stop_reason === 'refusal';
+            return {
+                index,
                 message: {
                     role: 'assistant',
-                    content: response.content ?? '',
-                    refusal: null,
-                    ...(response.reasoning ? { reasoning_content: response.reasoning } : {}),
+                    content: isRefusal ? null : choice.content ?? '',
+                    refusal: isRefusal ? choice.content ?? '' : null,
+                    ...(choice.reasoning ? { reasoning_content: choice.reasoning } : {}),
                     ...(toolCalls ? { tool_calls: toolCalls } : {}),
                 },
                 logprobs: null,
-                finish_reason: 'stop',
-            },
-        ],
+                finish_reason: mapStopReasonToOpenAI(choice.stop_reason),
+            };
+        }),
         usage,
     };
 }
 
-export function buildOpenAIChatStreamEvents({ response, model, includeUsage }) {
+export function buildOpenAIChatStreamEvents({ response, model, includeUsage, chunking }) {
     const id = generateId('chatcmpl');
     const created = nowSeconds();
-    const toolCalls = response.tool_calls ? toOpenAIToolCalls(response.tool_calls) : undefined;
+    const choices = listChoices(response);
+    const chunk = (choice) => ({
+        data: {
+            id,
+            object: 'chat.completion.chunk',
+            created,
+            model,
+            choices: [choice],
+        },
+    });
 
-    const delta = {
-        role: 'assistant',
-        ...(response.content ? { content: response.content } : {}),
-        ...(response.reasoning ? { reasoning_content: response.reasoning } : {}),
-        ...(toolCalls ? { tool_calls: toolCalls } : {}),
-    };
+    const deltasByChoice = choices.map((choice) => buildOpenAIChatDeltas(choice, chunking));
+    const events = interleave(deltasByChoice)
+        .map(({ index, item }) => chunk({ index, delta: item, finish_reason: null }));
 
-    const events = [
-        {
-            data: {
-                id,
-                object: 'chat.completion.chunk',
-                created,
-                model,
-                choices: [
-                    {
-                        index: 0,
-                        delta,
-                        finish_reason: null,
-                    },
-                ],
-            },
-        },
-        {
-            data: {
-                id,
-                object: 'chat.completion.chunk',
-                created,
-                model,
-                choices: [
-                    {
-                        index: 0,
-                        delta: {},
-                        finish_reason: 'stop',
-                    },
-                ],
-            },
-        },
-    ];
+    choices.forEach((choice, index) => {
+        events.push(chunk({ index, delta: {}, finish_reason: mapStopReasonToOpenAI(choice.stop_reason) }));
+    });
 
     if (includeUsage) {
         events.push({
@@ -91,7 +69,7 @@ export function buildOpenAIChatStreamEvents({ response, model, includeUsage }) {
     return events;
 }
 
-export function buildOpenAICompletionResponse({ text, model, usage }) {
+export function buildOpenAICompletionResponse({ response, model }) {
     const id = generateId('cmpl');
     const created = nowSeconds();
 
@@ -100,15 +78,13 @@ export function buildOpenAICompletionResponse({ text, model, usage }) {
         object: 'text_completion',
         created,
         model,
-        choices: [
-            {
-                index: 0,
-                text,
-                logprobs: null,
-                finish_reason: 'stop',
-            },
-        ],
-        usage: mapUsageToOpenAIChat(usage),
+        choices: listChoices(response).map((choice, index) => ({
+            index,
+            text: choice.content ?? '',
+            logprobs: null,
+            finish_reason: choice.stop_reason === 'length' ? 'length' : 'stop',
+        })),
+        usage: mapUsageToOpenAIChat(response.usage),
     };
 }
 
@@ -129,194 +105,217 @@ export function buildOpenAIEmbeddingResponse({ embeddings, model, usage }) {
 }
 
 export function buildOpenAIResponsesResponse({ response, model }) {
-    const id = generateId('resp');
-    const created = nowSeconds();
-    const usage = mapUsageToOpenAIResponses(response.usage);
-    const output = [];
-
-    const message = {
-        type: 'message',
-        role: 'assistant',
-        content: [{ type: 'output_text', text: response.content ?? '' }],
-    };
-    output.push(message);
-
-    if (response.tool_calls?.length) {
-        for (const call of response.tool_calls) {
-            output.push({
-                type: 'tool_call',
-                id: call.id,
-                name: call.name,
-                arguments: JSON.stringify(call.arguments ?? {}),
-            });
-        }
-    }
-
     return {
-        id,
+        id: generateId('resp'),
         object: 'response',
-        created,
+        created: nowSeconds(),
         model,
-        status: 'completed',
-        output,
-        usage,
+        ...mapStopReasonToOpenAIResponses(response.stop_reason),
+        output: buildOpenAIResponsesOutput(response),
+        usage: mapUsageToOpenAIResponses(response.usage),
     };
 }
 
-export function buildOpenAIResponsesEvents({ response, model }) {
-    const base = buildOpenAIResponsesResponse({ response, model });
+export function buildOpenAIResponsesEvents({ response, model, chunking }) {
+    const final = buildOpenAIResponsesResponse({ response, model });
+    const pending = { ...final, status: 'in_progress', incomplete_details: null, output: [], usage: null };
     const events = [];
-
-    if (response.content) {
-        events.push({
-            data: {
-                type: 'response.output_text.delta',
-                delta: response.content,
-            },
-        });
-    }
-
-    events.push({
-        data: {
-            type: 'response.completed',
-            ...base,
-        },
+    const emit = (type, data) => events.push({ event: type, data: { type, ...data } });
+
+    emit('response.created', { response: pending });
+    emit('response.in_progress', { response: pending });
+
+    final.output.forEach((item, outputIndex) => {
+        const location = { item_id: item.id, output_index: outputIndex };
+        if (item.type === 'reasoning') {
+            emit('response.output_item.added', { output_index: outputIndex, item: { ...item, summary: [] } });
+            item.summary.forEach((part, summaryIndex) => {
+                const summary = { ...location, summary_index: summaryIndex };
+                emit('response.reasoning_summary_part.added', { ...summary, part: { ...part, text: '' } });
+                for (const delta of splitStreamText(part.text, response, chunking)) {
+                    emit('response.reasoning_summary_text.delta', { ...summary, delta });
+                }
+                emit('response.reasoning_summary_text.done', { ...summary, text: part.text });
+                emit('response.reasoning_summary_part.done', { ...summary, part });
+            });
+        } else if (item.type === 'message') {
+            const added = { ...item, status: 'in_progress', content: [] };
+            emit('response.output_item.added', { output_index: outputIndex, item: added });
+            item.content.forEach((part, contentIndex) => {
+                const content = { ...location, content_index: contentIndex };
+                const field = part.type === 'refusal' ? 'refusal' : 'text';
+                const prefix = part.type === 'refusal' ? 'response.refusal' : 'response.output_text';
+                emit('response.content_part.added', { ...content, part: { ...part, [field]: '' } });
+                for (const delta of splitStreamText(part[field], response, chunking)) {
+                    emit(`${prefix}.delta`, { ...content, delta });
+                }
+                emit(`${prefix}.done`, { ...content, [field]: part[field] });
+                emit('response.content_part.done', { ...content, part });
+            });
+        } else {
+            emit('response.output_item.added', {
+                output_index: outputIndex,
+                item: { ...item, status: 'in_progress', arguments: '' },
+            });
+            const { size } = resolveChunking(response, chunking);
+            for (const delta of splitIntoChunks(item.arguments, size, 'chars')) {
+                emit('response.function_call_arguments.delta', { ...location, delta });
+            }
+            emit('response.function_call_arguments.done', { ...location, arguments: item.arguments });
+        }
+        emit('response.output_item.done', { output_index: outputIndex, item });
     });
 
-    return events;
+    emit(final.status === 'incomplete' ? 'response.incomplete' : 'response.completed', { response: final });
+
+    return events.map((event, sequenceNumber) => ({
+        ...event,
+        data: { ...event.data, sequence_number: sequenceNumber },
+    }));
 }
 
 export function buildAnthropicMessageResponse({ response, model }) {
-    const id = generateId('msg');
-    const content = [];
-
-    if (response.content) {
-        content.push({ type: 'text', text: response.content, citations: null });
-    }
-
-    if (response.reasoning) {
-        content.push({ type: 'thinking', thinking: response.reasoning });
-    }
-
-    if (response.tool_calls?.length) {
-        for (const call of response.tool_calls) {
-            content.push({
-                type: 'tool_use',
-                id: call.id,
-                name: call.name,
-                input: call.arguments ?? {},
-            });
-        }
-    }
-
     return {
-        id,
+        id: generateId('msg'),
         type: 'message',
         role: 'assistant',
         model,
-        content,
-        stop_reason: 'end_turn',
-        stop_sequence: null,
+        content: buildAnthropicContentBlocks(response),
+        stop_reason: mapStopReasonToAnthropic(response.stop_reason),
+        stop_sequence: response.stop_sequence ?? null,
         usage: mapUsageToAnthropic(response.usage),
     };
 }
 
-export function buildAnthropicStreamEvents({ response, model }) {
-    const id = generateId('msg');
+export function buildAnthropicStreamEvents({ response, model, chunking }) {
     const usage = mapUsageToAnthropic(response.usage);
-    const events = [];
-
-    events.push({
-        event: 'message_start',
-        data: {
-            type: 'message_start',
+    const event = (type, data) => ({ event: type, data: { type, ...data } });
+    const events = [
+        event('message_start', {
             message: {
-                id,
+                id: generateId('msg'),
                 type: 'message',
                 role: 'assistant',
                 model,
                 content: [],
-                usage: { input_tokens: usage.input_tokens },
+                stop_reason: null,
+                stop_sequence: null,
+                usage: { ...usage, output_tokens: 0 },
             },
-        },
-    });
-
-    events.push({
-        event: 'content_block_start',
-        data: {
-            type: 'content_block_start',
-            index: 0,
-            content_block: { type: 'text', text: '' },
-        },
-    });
-
-    events.push({
-        event: 'content_block_delta',
-        data: {
-            type: 'content_block_delta',
-            index: 0,
-            delta: { type: 'text_delta', text: response.content ?? '' },
-        },
-    });
+        }),
+        event('ping', {}),
+    ];
 
-    events.push({
-        event: 'content_block_stop',
-        data: {
-            type: 'content_block_stop',
-            index: 0,
-        },
+    buildAnthropicContentBlocks(response).forEach((block, index) => {
+        const deltas = [];
+        if (block.type === 'thinking') {
+            const contentBlock = { ...block, thinking: '', signature: '' };
+            events.push(event('content_block_start', { index, content_block: contentBlock }));
+            for (const thinking of splitStreamText(block.thinking, response, chunking)) {
+                deltas.push({ type: 'thinking_delta', thinking });
+            }
+            deltas.push({ type: 'signature_delta', signature: block.signature });
+        } else if (block.type === 'tool_use') {
+            events.push(event('content_block_start', { index, content_block: { ...block, input: {} } }));
+            const { size } = resolveChunking(response, chunking);
+            for (const partialJson of splitIntoChunks(JSON.stringify(block.input), size, 'chars')) {
+                deltas.push({ type: 'input_json_delta', partial_json: partialJson });
+            }
+        } else {
+            events.push(event('content_block_start', { index, content_block: { ...block, text: '' } }));
+            for (const text of splitStreamText(block.text, response, chunking)) {
+                deltas.push({ type: 'text_delta', text });
+            }
+        }
+        for (const delta of deltas) {
+            events.push(event('content_block_delta', { index, delta }));
+        }
+        events.push(event('content_block_stop', { index }));
     });
 
-    events.push({
-        event: 'message_delta',
-        data: {
-            type: 'message_delta',
-            delta: { stop_reason: 'end_turn' },
-            usage,
+    events.push(event('message_delta', {
+        delta: {
+            stop_reason: mapStopReasonToAnthropic(response.stop_reason),
+            stop_sequence: response.stop_sequence ?? null,
         },
-    });
-
-    events.push({
-        event: 'message_stop',
-        data: { type: 'message_stop' },
-    });
+        usage,
+    }));
+    events.push(event('message_stop', {}));
 
     return events;
 }
 
 export function buildGeminiGenerateResponse({ response, model }) {
-    const parts = [];
-    if (response.content) {
-        parts.push({ text: response.content });
-    }
-    if (response.tool_calls?.length) {
-        for (const call of response.tool_calls) {
-            parts.push({
-                functionCall: {
-                    name: call.name,
-                    args: call.arguments ?? {},
-                },
-            });
-        }
-    }
-
     return {
-        candidates: [
-            {
-                content: {
-                    role: 'model',
-                    parts,
-                },
-                finishReason: 'STOP',
-            },
-        ],
+        candidates: listChoices(response).map((choice, index) => buildGeminiCandidate(choice, index)),
         usageMetadata: mapUsageToGemini(response.usage),
     };
 }
 
-export function buildGeminiStreamChunks({ response, model }) {
-    const chunk = buildGeminiGenerateResponse({ response, model });
-    return [chunk];
+export function buildGeminiStreamChunks({ response, chunking }) {
+    const choices = listChoices(response);
+    const partsByChoice = choices.map((choice) => [
+        ...splitStreamText(choice.content, choice, chunking).map((text) => ({ text })),
+        ...(choice.tool_calls || []).map((call) => ({
+            functionCall: { name: call.name, args: call.arguments ?? {} },
+        })),
+    ]);
+    const finishAt = partsByChoice.map((parts) => Math.max(parts.length - 1, 0));
+    const steps = interleave(partsByChoice.map((parts) => (parts.length ? parts : [null])));
+
+    return steps.map(({ index, item, position }, step) => {
+        const isLast = position === finishAt[index];
+        const candidate = {
+            content: { role: 'model', parts: item ? [item] : [] },
+            ...(isLast ? { finishReason: mapStopReasonToGemini(choices[index].stop_reason) } : {}),
+            index,
+        };
+        return {
+            candidates: [candidate],
+            ...(step === steps.length - 1 ? { usageMetadata: mapUsageToGemini(response.usage) } : {}),
+        };
+    });
+}
+
+// True for stream events that carry generated text, reasoning or tool-call arguments, in any provider format.
+export function isContentEvent({ event, data }) {
+    if (event === 'content_block_delta') return data?.delta?.type !== 'signature_delta';
+    if (event) return event.endsWith('.delta');
+    const delta = data?.choices?.[0]?.delta;
+    if (delta) {
+        return Boolean(delta.content || delta.reasoning_content || delta.refusal
+            || delta.tool_calls?.[0]?.function?.arguments);
+    }
+    return Boolean(data?.candidates?.[0]?.content?.parts?.length);
+}
+
+export function mapStopReasonToOpenAI(reason) {
+    if (reason === 'length' || reason === 'tool_calls' || reason === 'content_filter') return reason;
+    return 'stop';
+}
+
+export function mapStopReasonToAnthropic(reason) {
+    if (reason === 'length') return 'max_tokens';
+    if (reason === 'tool_calls') return 'tool_use';
+    if (reason === 'content_filter' || reason === 'refusal') return 'refusal';
+    if (reason === 'stop_sequence') return 'stop_sequence';
+    return 'end_turn';
+}
+
+export function mapStopReasonToGemini(reason) {
+    if (reason === 'length') return 'MAX_TOKENS';
+    if (reason === 'content_filter' || reason === 'refusal') return 'SAFETY';
+    return 'STOP';
+}
+
+function mapStopReasonToOpenAIResponses(reason) {
+    if (reason === 'length') {
+        return { status: 'incomplete', incomplete_details: { reason: 'max_output_tokens' } };
+    }
+    if (reason === 'content_filter') {
+        return { status: 'incomplete', incomplete_details: { reason: 'content_filter' } };
+    }
+    return { status: 'completed', incomplete_details: null };
 }
 
 export function mapUsageToOpenAIChat(usage = {}) {
@@ -379,6 +378,161 @@ export function mapUsageToGemini(usage = {}) {
     return mapped;
 }
 
+function buildGeminiCandidate(choice, index) {
+    const parts = [];
+    if (choice.content) {
+        parts.push({ text: choice.content });
+    }
+    if (choice.tool_calls?.length) {
+        for (const call of choice.tool_calls) {
+            parts.push({
+                functionCall: {
+                    name: call.name,
+                    args: call.arguments ?? {},
+                },
+            });
+        }
+    }
+
+    return {
+        content: {
+            role: 'model',
+            parts,
+        },
+        finishReason: mapStopReasonToGemini(choice.stop_reason),
+        index,
+    };
+}
+
+function buildOpenAIResponsesOutput(response) {
+    const output = [];
+    if (response.reasoning) {
+        output.push({
+            id: generateId('rs'),
+            type: 'reasoning',
+            summary: [{ type: 'summary_text', text: response.reasoning }],
+        });
+    }
+
+    const text = response.content ?? '';
+    output.push({
+        id: generateId('msg'),
+        type: 'message',
+        status: 'completed',
+        role: 'assistant',
+        content: [
+            response.stop_reason === 'refusal'
+                ? { type: 'refusal', refusal: text }
+                : { type: 'output_text', text, annotations: [] },
+        ],
+    });
+
+    for (const call of response.tool_calls || []) {
+        output.push({
+            id: generateId('fc'),
+            type: 'function_call',
+            status: 'completed',
+            call_id: call.id,
+            name: call.name,
+            arguments: JSON.stringify(call.arguments ?? {}),
+        });
+    }
+    return output;
+}
+
+function buildAnthropicContentBlocks(response) {
+    const content = [];
+    if (response.reasoning) {
+        content.push({
+            type: 'thinking',
+            thinking: response.reasoning,
+            signature: buildThinkingSignature(response.reasoning),
+        });
+    }
+    if (response.content || !response.tool_calls?.length) {
+        content.push({ type: 'text', text: response.content ?? '', citations: null });
+    }
+    for (const call of response.tool_calls || []) {
+        content.push({
+            type: 'tool_use',
+            id: call.id,
+            name: call.name,
+            input: call.arguments ?? {},
+        });
+    }
+    return content;
+}
+
+function buildThinkingSignature(thinking) {
+    return Buffer.from(`llmdbg:${hashString(thinking).toString(16)}:${thinking.length}`).toString('base64');
+}
+
+function buildOpenAIChatDeltas(choice, chunking) {
+    const deltas = [];
+    for (const reasoning of splitStreamText(choice.reasoning, choice, chunking)) {
+        deltas.push({ reasoning_content: reasoning });
+    }
+    const contentKey = choice.stop_reason === 'refusal' ? 'refusal' : 'content';
+    for (const content of splitStreamText(choice.content, choice, chunking)) {
+        deltas.push({ [contentKey]: content });
+    }
+    toOpenAIToolCalls(choice.tool_calls || []).forEach((call, index) => {
+        deltas.push({
+            tool_calls: [{
+                index,
+                id: call.id,
+                type: 'function',
+                function: { name: call.function.name, arguments: '' },
+            }],
+        });
+        const { size } = resolveChunking(choice, chunking);
+        for (const args of splitIntoChunks(call.function.arguments, size, 'chars')) {
+            deltas.push({ tool_calls: [{ index, function: { arguments: args } }] });
+        }
+    });
+
+    if (deltas.length === 0) {
+        deltas.push({ content: '' });
+    }
+    deltas[0] = { role: 'assistant', ...deltas[0] };
+    return deltas;
+}
+
+function splitStreamText(text, choice, chunking) {
+    if (!text) return [];
+    const explicit = choice?.content_chunks;
+    if (text === choice?.content && Array.isArray(explicit) && explicit.join('') === text) {
+        return explicit;
+    }
+    const { size, unit } = resolveChunking(choice, chunking);
+    return splitIntoChunks(text, size, unit);
+}
+
+function resolveChunking(choice, chunking = {}) {
+    return {
+        size: choice?.chunking?.size ?? chunking.size ?? Number.MAX_SAFE_INTEGER,
+        unit: choice?.chunking?.unit ?? chunking.unit ?? 'chars',
+    };
+}
+
+// Round-robins per-choice lists so streamed chunks for each index interleave.
+function interleave(lists) {
+    const steps = [];
+    const longest = Math.max(0, ...lists.map((list) => list.length));
+    for (let position = 0; position < longest; position += 1) {
+        lists.forEach((list, index) => {
+            if (position < list.length) {
+                steps.push({ index, item: list[position], position });
+            }
+        });
+    }
+    return steps;
+}
+
+function listChoices(response) {
+    return response.choices?.length ? response.choices : [response];
+}
+
 function toOpenAIToolCalls(toolCalls) {
     return toolCalls.map((call) => ({
         id: call.id || generateId('call'),
@@ -236,6 +236,7 @@ export function buildPlaygroundHtml() {
       <div class="actions">
         <a href="/">Index</a>
         <a href="/explore">Explore</a>
+        <a href="/inspect">Inspect</a>
         <a href="/openapi.json">OpenAPI</a>
       </div>
     </header>
@@ -668,6 +669,28 @@ export function buildPlaygroundHtml() {
       setStatus("idle", "Waiting for a request.");
     }
 
+    // With require_auth on, the page is opened as /playground?key=<token> and forwards that key to debug calls.
+    function withPageKey(path) {
+      const key = new URLSearchParams(window.location.search).get("key");
+      return key ? path + (path.includes("?") ? "&" : "?") + "key=" + encodeURIComponent(key) : path;
+    }
+
+    async function loadCapturedRequest(id) {
+      try {
+        const response = await fetch(withPageKey("/__debug/requests/" + encodeURIComponent(id)));
+        if (!response.ok) throw new Error("HTTP " + response.status);
+        const entry = await response.json();
+        methodSelect.value = entry.method === "GET" ? "GET" : "POST";
+        endpointInput.value = entry.path;
+        modelInput.value = entry.model || "";
+        bodyInput.value = JSON.stringify(entry.request?.body || {}, null, 2);
+        updatePathHint();
+        setStatus("idle", "Loaded captured request " + id + ".");
+      } catch (error) {
+        setStatus("error", "Could not load captured request " + id + ".");
+      }
+    }
+
     Object.entries(presets).forEach(([key, preset]) => {
       const option = document.createElement("option");
       option.value = key;
@@ -681,6 +704,11 @@ export function buildPlaygroundHtml() {
     updatePathHint();
     setStatus("idle", "Waiting for a request.");
 
+    const capturedRequestId = new URLSearchParams(window.location.search).get("request");
+    if (capturedRequestId) {
+      loadCapturedRequest(capturedRequestId);
+    }
+
     presetSelect.addEventListener("change", () => applyPreset(presetSelect.value));
     applyPromptBtn.addEventListener("click", applyPromptToBody);
     endpointInput.addEventListener("input", updatePathHint);
@@ -946,6 +974,7 @@ export function buildIndexHtml({ config, endpoints, baseUrl }) {
       <div class="actions">
         <a href="/playground">Playground</a>
         <a href="/explore">Explore</a>
+        <a href="/inspect">Inspect</a>
         <a href="/openapi.json">OpenAPI</a>
       </div>
     </header>
@@ -1296,6 +1325,7 @@ export function buildExploreHtml(config) {
       <div class="actions">
         <a href="/">Index</a>
         <a href="/playground">Playground</a>
+        <a href="/inspect">Inspect</a>
         <a href="/openapi.json">OpenAPI</a>
       </div>
     </header>
@@ -1363,3 +1393,522 @@ export function buildExploreHtml(config) {
 </body>
 </html>`;
 }
+
+export function buildInspectHtml() {
+    return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>LLM Debugger Inspector</title>
+  ${FONT_LINKS}
+  <style>
+    :root {
+      color-scheme: light;
+      --ink: #1a1c1b;
+      --muted: #5a645f;
+      --accent: #e4572e;
+      --accent-2: #2f7e7a;
+      --accent-3: #f7b267;
+      --panel: #ffffff;
+      --paper: #f7f2e8;
+      --border: #d6cbb9;
+      --shadow: 0 20px 45px rgba(26, 28, 27, 0.1);
+      --mono: "IBM Plex Mono", monospace;
+    }
+    * { box-sizing: border-box; }
+    body {
+      margin: 0;
+      font-family: "Space Grotesk", sans-serif;
+      color: var(--ink);
+      background:
+        radial-gradient(900px 420px at 8% -10%, #f7c9ae 0%, transparent 60%),
+        radial-gradient(700px 500px at 90% 10%, #bfe7db 0%, transparent 60%),
+        linear-gradient(180deg, #f9f4ea 0%, #f2ede2 100%);
+      min-height: 100vh;
+    }
+    .page {
+      max-width: 1320px;
+      margin: 0 auto;
+      padding: 32px 20px 60px;
+    }
+    .hero {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      justify-content: space-between;
+      gap: 16px;
+      margin-bottom: 24px;
+    }
+    .hero h1 {
+      margin: 0;
+      font-size: clamp(28px, 4vw, 40px);
+      letter-spacing: -0.02em;
+    }
+    .hero p {
+      margin: 4px 0 0;
+      color: var(--muted);
+      max-width: 560px;
+    }
+    .hero .actions {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 10px;
+    }
+    .hero a {
+      text-decoration: none;
+      color: var(--ink);
+      border: 1px solid var(--border);
+      padding: 8px 14px;
+      border-radius: 999px;
+      background: var(--panel);
+    }
+    .hero a:hover {
+      border-color: var(--accent);
+      color: var(--accent);
+    }
+    .grid {
+      display: grid;
+      grid-template-columns: minmax(280px, 2fr) minmax(320px, 3fr);
+      gap: 20px;
+      align-items: start;
+    }
+    .card {
+      background: var(--panel);
+      border: 1px solid var(--border);
+      border-radius: 18px;
+      padding: 20px;
+      box-shadow: var(--shadow);
+      animation: rise 0.6s ease both;
+    }
+    .card:nth-child(2) { animation-delay: 0.08s; }
+    @keyframes rise {
+      from { opacity: 0; transform: translateY(14px); }
+      to { opacity: 1; transform: translateY(0); }
+    }
+    .section-title {
+      font-size: 13px;
+      letter-spacing: 0.12em;
+      text-transform: uppercase;
+      color: var(--muted);
+      margin: 18px 0 10px;
+    }
+    .section-title:first-child { margin-top: 0; }
+    .chip {
+      display: inline-flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 10px;
+      border-radius: 999px;
+      background: var(--paper);
+      border: 1px solid var(--border);
+      font-size: 12px;
+      color: var(--muted);
+    }
+    .dot {
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      background: #c4b8a8;
+    }
+    .dot.live { background: var(--accent-2); }
+    .dot.error { background: #c23b22; }
+    button {
+      font: inherit;
+      border: 1px solid var(--border);
+      border-radius: 999px;
+      padding: 8px 14px;
+      cursor: pointer;
+      background: transparent;
+      color: var(--ink);
+    }
+    button:hover {
+      border-color: var(--accent);
+      color: var(--accent);
+    }
+    .request-list {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+      display: grid;
+      gap: 8px;
+      max-height: 75vh;
+      overflow: auto;
+    }
+    .request-item {
+      border: 1px solid var(--border);
+      border-radius: 14px;
+      padding: 10px 12px;
+      cursor: pointer;
+      display: grid;
+      gap: 4px;
+      font-size: 13px;
+    }
+    .request-item:hover { border-color: var(--accent-3); }
+    .request-item.selected {
+      border-color: var(--accent);
+      background: #fff7f2;
+    }
+    .request-line {
+      display: flex;
+      justify-content: space-between;
+      gap: 8px;
+      font-family: var(--mono);
+    }
+    .request-meta {
+      color: var(--muted);
+      font-size: 12px;
+    }
+    .status-ok { color: var(--accent-2); }
+    .status-error { color: #c23b22; }
+    .facts {
+      display: grid;
+      grid-template-columns: max-content 1fr;
+      gap: 6px 14px;
+      font-size: 13px;
+      margin: 0;
+    }
+    .facts dt { color: var(--muted); }
+    .facts dd {
+      margin: 0;
+      font-family: var(--mono);
+      word-break: break-word;
+    }
+    .messages {
+      display: grid;
+      gap: 8px;
+    }
+    .message {
+      border-left: 3px solid var(--border);
+      padding: 4px 10px;
+      font-size: 13px;
+      white-space: pre-wrap;
+    }
+    .message .role {
+      display: block;
+      font-size: 11px;
+      letter-spacing: 0.12em;
+      text-transform: uppercase;
+      color: var(--muted);
+    }
+    .message.user { border-color: var(--accent); }
+    .message.assistant { border-color: var(--accent-2); }
+    pre {
+      margin: 0;
+      border-radius: 14px;
+      padding: 14px;
+      background: #1f2623;
+      color: #f6f1e8;
+      font-family: var(--mono);
+      font-size: 12px;
+      white-space: pre-wrap;
+      word-break: break-word;
+      max-height: 360px;
+      overflow: auto;
+    }
+    .timeline {
+      display: grid;
+      gap: 4px;
+      font-family: var(--mono);
+      font-size: 12px;
+    }
+    .tick {
+      display: grid;
+      grid-template-columns: 64px 1fr minmax(0, 2fr);
+      gap: 10px;
+      align-items: center;
+    }
+    .tick .offset { color: var(--muted); text-align: right; }
+    .tick .track {
+      height: 8px;
+      border-radius: 999px;
+      background: var(--paper);
+      overflow: hidden;
+    }
+    .tick .bar {
+      height: 100%;
+      background: var(--accent-3);
+    }
+    .tick .text {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    .empty {
+      padding: 16px;
+      border-radius: 14px;
+      border: 1px dashed var(--border);
+      color: var(--muted);
+      text-align: center;
+    }
+    @media (max-width: 960px) {
+      .grid { grid-template-columns: 1fr; }
+      .hero { align-items: flex-start; }
+    }
+  </style>
+</head>
+<body>
+  <main class="page">
+    <header class="hero">
+      <div>
+        <h1>Inspector</h1>
+        <p>Requests as they arrive, with the messages sent, the trigger that answered and every streamed chunk.</p>
+      </div>
+      <div class="actions">
+        <span class="chip"><span class="dot" id="liveDot"></span><strong id="liveText">Connecting</strong></span>
+        <button id="clearBtn">Clear</button>
+        <a href="/">Index</a>
+        <a href="/playground">Playground</a>
+        <a href="/explore">Explore</a>
+      </div>
+    </header>
+
+    <section class="grid">
+      <div class="card">
+        <div class="section-title">Requests</div>
+        <ul id="requestList" class="request-list"></ul>
+      </div>
+      <div class="card">
+        <div id="details"><div class="empty">Select a request to inspect it.</div></div>
+      </div>
+    </section>
+  </main>
+  <script>
+    const MAX_ENTRIES = 200;
+    const requestList = document.getElementById("requestList");
+    const details = document.getElementById("details");
+    const liveDot = document.getElementById("liveDot");
+    const liveText = document.getElementById("liveText");
+    const clearBtn = document.getElementById("clearBtn");
+    let entries = [];
+    let selectedId = null;
+
+    // With require_auth on, the page is opened as /inspect?key=<token> and forwards that key to every call.
+    function withPageKey(path) {
+      const key = new URLSearchParams(window.location.search).get("key");
+      return key ? path + (path.includes("?") ? "&" : "?") + "key=" + encodeURIComponent(key) : path;
+    }
+
+    function escapeHtml(value) {
+      return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+    }
+
+    function truncate(value, maxLength) {
+      const text = String(value ?? "");
+      return text.length > maxLength ? text.slice(0, maxLength - 3) + "..." : text;
+    }
+
+    function setLive(state, text) {
+      liveDot.className = "dot " + state;
+      liveText.textContent = text;
+    }
+
+    function textOf(content) {
+      if (content === undefined || content === null) return "";
+      if (typeof content === "string") return content;
+      if (Array.isArray(content)) return content.map(textOf).filter(Boolean).join("\\n");
+      if (content.text !== undefined) return String(content.text);
+      if (content.parts) return textOf(content.parts);
+      if (content.type === "tool_use") return "call " + content.name + " " + JSON.stringify(content.input || {});
+      if (content.type === "tool_result") return "result " + textOf(content.content);
+      if (content.functionCall) {
+        return "call " + content.functionCall.name + " " + JSON.stringify(content.functionCall.args || {});
+      }
+      if (content.functionResponse) return "result " + JSON.stringify(content.functionResponse.response || {});
+      if (content.content !== undefined) return textOf(content.content);
+      return JSON.stringify(content);
+    }
+
+    function extractMessages(body) {
+      if (!body) return [];
+      const messages = [];
+      const system = body.system ?? body.systemInstruction ?? body.instructions;
+      if (system) messages.push({ role: "system", text: textOf(system) });
+      for (const message of body.messages || body.contents || []) {
+        const calls = (message.tool_calls || []).map((call) => {
+          return "call " + (call.function?.name || "") + " " + (call.function?.arguments || "");
+        });
+        const text = [textOf(message.content ?? message.parts)].concat(calls).filter(Boolean).join("\\n");
+        messages.push({ role: message.role || "user", text });
+      }
+      if (typeof body.input === "string") messages.push({ role: "user", text: body.input });
+      if (Array.isArray(body.input)) {
+        for (const item of body.input) {
+          if (typeof item === "string") {
+            messages.push({ role: "user", text: item });
+          } else if (item.type === "function_call") {
+            messages.push({ role: "assistant", text: "call " + item.name + " " + (item.arguments || "") });
+          } else if (item.type === "function_call_output") {
+            messages.push({ role: "tool", text: textOf(item.output) });
+          } else {
+            messages.push({ role: item.role || "user", text: textOf(item.content) });
+          }
+        }
+      }
+      if (body.prompt !== undefined) messages.push({ role: "user", text: textOf(body.prompt) });
+      return messages;
+    }
+
+    function extractTools(body) {
+      const names = [];
+      for (const tool of body?.tools || body?.functions || []) {
+        if (tool.function?.name) names.push(tool.function.name);
+        else if (tool.name) names.push(tool.name);
+        for (const declaration of tool.functionDeclarations || []) names.push(declaration.name);
+      }
+      return names;
+    }
+
+    function describeChunk(chunk) {
+      const data = chunk.data;
+      const prefix = chunk.event ? chunk.event + " " : "";
+      return prefix + (typeof data === "string" ? data : JSON.stringify(data));
+    }
+
+    function renderList() {
+      if (!entries.length) {
+        requestList.innerHTML = '<li class="empty">No requests yet. Point your app at this server.</li>';
+        return;
+      }
+      requestList.innerHTML = entries.map((entry) => {
+        const statusClass = entry.status >= 400 ? "status-error" : "status-ok";
+        const selected = entry.id === selectedId ? " selected" : "";
+        const model = entry.model ? escapeHtml(entry.model) + " · " : "";
+        const time = new Date(entry.started_at).toLocaleTimeString();
+        return (
+          '<li class="request-item' + selected + '" data-id="' + escapeHtml(entry.id) + '">' +
+            '<div class="request-line">' +
+              '<span>' + escapeHtml(entry.method) + " " + escapeHtml(truncate(entry.path, 48)) + '</span>' +
+              '<span class="' + statusClass + '">' + escapeHtml(entry.status) + '</span>' +
+            '</div>' +
+            '<div class="request-meta">' + model + escapeHtml(entry.duration_ms) + 'ms · ' + escapeHtml(time) +
+              (entry.cancelled ? " · cancelled" : "") + '</div>' +
+          '</li>'
+        );
+      }).join("");
+    }
+
+    function renderTimeline(stream) {
+      const chunks = stream.chunks || [];
+      if (!chunks.length) return '<div class="empty">No chunks were sent.</div>';
+      const last = Math.max(chunks[chunks.length - 1].offset_ms, 1);
+      return '<div class="timeline">' + chunks.map((chunk) => {
+        const width = Math.max((chunk.offset_ms / last) * 100, 1).toFixed(1);
+        return (
+          '<div class="tick">' +
+            '<span class="offset">' + escapeHtml(chunk.offset_ms) + 'ms</span>' +
+            '<span class="track"><span class="bar" style="display:block;width:' + width + '%"></span></span>' +
+            '<span class="text" title="' + escapeHtml(describeChunk(chunk)) + '">' +
+              escapeHtml(truncate(describeChunk(chunk), 160)) +
+            '</span>' +
+          '</div>'
+        );
+      }).join("") + '</div>';
+    }
+
+    function renderDetails() {
+      const entry = entries.find((item) => item.id === selectedId);
+      if (!entry) {
+        details.innerHTML = '<div class="empty">Select a request to inspect it.</div>';
+        return;
+      }
+      const body = entry.request?.body;
+      const messages = extractMessages(body);
+      const tools = extractTools(body);
+      const trigger = entry.trigger ? entry.trigger.model + " → " + entry.trigger.match : "-";
+      const facts = [
+        ["Request", entry.method + " " + entry.path],
+        ["Status", entry.status + (entry.cancelled ? " (cancelled)" : "")],
+        ["Model", (entry.model || "-") + (entry.resolved_model && entry.resolved_model !== entry.model
+          ? " → " + entry.resolved_model : "")],
+        ["Behavior", entry.behavior || "-"],
+        ["Trigger", trigger],
+        ["Timing", entry.duration_ms + "ms total, first byte " + entry.first_byte_ms + "ms"],
+        ["Session", entry.session || "-"],
+        ["Id", entry.id],
+      ];
+      const messageHtml = messages.length
+        ? '<div class="messages">' + messages.map((message) => (
+            '<div class="message ' + escapeHtml(message.role) + '">' +
+              '<span class="role">' + escapeHtml(message.role) + '</span>' + escapeHtml(message.text) +
+            '</div>'
+          )).join("") + '</div>'
+        : '<div class="empty">No messages.</div>';
+      const responseBody = entry.response?.body;
+      const toolHtml = tools.length
+        ? '<div>' + tools.map((name) => '<span class="chip">' + escapeHtml(name) + '</span>').join(" ") + '</div>'
+        : '<div class="empty">No tools declared.</div>';
+      const rerun = entry.method === "POST"
+        ? '<a class="chip" href="' + escapeHtml(withPageKey("/playground?request=" + encodeURIComponent(entry.id))) +
+          '">Re-run in playground</a>'
+        : "";
+
+      details.innerHTML =
+        '<div class="section-title">Summary</div>' +
+        '<dl class="facts">' + facts.map(([label, value]) => (
+          '<dt>' + escapeHtml(label) + '</dt><dd>' + escapeHtml(value) + '</dd>'
+        )).join("") + '</dl>' +
+        (rerun ? '<p>' + rerun + '</p>' : "") +
+        '<div class="section-title">Messages</div>' + messageHtml +
+        '<div class="section-title">Tools</div>' + toolHtml +
+        (entry.stream ? '<div class="section-title">Stream timeline (' + entry.stream.chunks_sent + "/" +
+          entry.stream.total_chunks + ')</div>' + renderTimeline(entry.stream) : "") +
+        '<div class="section-title">Response body</div>' +
+        '<pre>' + escapeHtml(responseBody === null || responseBody === undefined
+          ? "(streamed or empty)" : JSON.stringify(responseBody, null, 2)) + '</pre>' +
+        '<div class="section-title">Request body</div>' +
+        '<pre>' + escapeHtml(JSON.stringify(body ?? null, null, 2)) + '</pre>' +
+        '<div class="section-title">Request headers</div>' +
+        '<pre>' + escapeHtml(JSON.stringify(entry.request?.headers || {}, null, 2)) + '</pre>';
+    }
+
+    function addEntry(entry) {
+      entries = [entry].concat(entries.filter((item) => item.id !== entry.id)).slice(0, MAX_ENTRIES);
+      if (!selectedId) selectedId = entry.id;
+      renderList();
+      if (selectedId === entry.id) renderDetails();
+    }
+
+    async function loadEntries() {
+      const response = await fetch(withPageKey("/__debug/requests"));
+      const payload = await response.json();
+      entries = payload.data || [];
+      selectedId = entries[0]?.id || null;
+      renderList();
+      renderDetails();
+    }
+
+    function connect() {
+      const source = new EventSource(withPageKey("/__debug/requests/stream"));
+      source.onopen = () => setLive("live", "Live");
+      source.onerror = () => setLive("error", "Reconnecting");
+      source.addEventListener("request", (event) => addEntry(JSON.parse(event.data)));
+    }
+
+    requestList.addEventListener("click", (event) => {
+      const item = event.target.closest(".request-item");
+      if (!item) return;
+      selectedId = item.dataset.id;
+      renderList();
+      renderDetails();
+    });
+
+    clearBtn.addEventListener("click", async () => {
+      await fetch(withPageKey("/__debug/requests"), { method: "DELETE" });
+      entries = [];
+      selectedId = null;
+      renderList();
+      renderDetails();
+    });
+
+    loadEntries().catch(() => setLive("error", "Failed to load requests")).finally(connect);
+  </script>
+</body>
+</html>`;
+}
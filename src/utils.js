@@ -58,6 +58,34 @@ export function countTokens(input, strategy = 'chars') {
     return text.length;
 }
 
+export function truncateToTokens(input, limit, strategy = 'chars') {
+    const text = String(input ?? '');
+    if (limit === undefined || limit === null || countTokens(text, strategy) <= limit) return text;
+    if (strategy === 'words') {
+        const pattern = /\S+/g;
+        let seen = 0;
+        let end = 0;
+        while (seen < limit && pattern.exec(text)) {
+            seen += 1;
+            end = pattern.lastIndex;
+        }
+        return text.slice(0, end);
+    }
+    return text.slice(0, Math.max(limit, 0));
+}
+
+export function splitIntoChunks(input, size = 1, unit = 'chars') {
+    const text = String(input ?? '');
+    if (!text) return [];
+    const chunkSize = Math.max(Number.parseInt(size, 10) || 1, 1);
+    const pieces = unit === 'words' ? text.match(/\s*\S+\s*/g) || [text] : Array.from(text);
+    const chunks = [];
+    for (let i = 0; i < pieces.length; i += chunkSize) {
+        chunks.push(pieces.slice(i, i + chunkSize).join(''));
+    }
+    return chunks;
+}
+
 export function combineTokens(values, strategy) {
     if (!values) return 0;
     if (Array.isArray(values)) {
@@ -66,6 +94,26 @@ export function combineTokens(values, strategy) {
     return countTokens(values, strategy);
 }
 
+export function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (const char of String(value ?? '')) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export function createSeededRandom(seed) {
+    let state = Number.isFinite(Number(seed)) ? Number(seed) >>> 0 : hashString(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 export function toArray(value) {
     if (value === undefined || value === null) return [];
     return Array.isArray(value) ? value : [value];
@@ -80,11 +128,33 @@ export function safeJsonParse(value) {
     }
 }
 
+export function parseRegexLiteral(pattern) {
+    if (typeof pattern !== 'string') return null;
+    if (!pattern.startsWith('/') || pattern.lastIndexOf('/') === 0) return null;
+    const lastSlash = pattern.lastIndexOf('/');
+    const body = pattern.slice(1, lastSlash);
+    const flags = pattern.slice(lastSlash + 1);
+    try {
+        return new RegExp(body, flags);
+    } catch {
+        return null;
+    }
+}
+
 export function normalizeHeaderValue(value) {
     if (Array.isArray(value)) return value[0];
     return value;
 }
 
+// Masks the values of fields whose lower-cased name is in `names`, e.g. credential headers or query parameters.
+export function redactFields(fields, names) {
+    if (!fields || typeof fields !== 'object') return fields;
+    return Object.fromEntries(Object.entries(fields).map(([name, value]) => [
+        name,
+        names.has(name.toLowerCase()) ? '[REDACTED]' : value,
+    ]));
+}
+
 export function sanitizeModelName(name) {
     if (!name) return '';
     return String(name).trim();
@@ -14,6 +14,21 @@ async function withServer(modelsConfig, run) {
 const MODELS_CONFIG = {
     echo: [{ _default: { type: 'echo' } }],
     thinker: [{ _default: { type: 'message', content: 'Answer', reasoning: 'Thinking' } }],
+    overloaded: [
+        { _default: { type: 'message', content: 'Partial answer', stream_fault: { type: 'error', after: 3 } } },
+    ],
+    busy: [{ _default: { type: 'error', code: 'overloaded_error', should_retry: false } }],
+    throttled: [{ _rate_limits: { requests_per_minute: 5 } }, { _default: 'ok' }],
+    researcher: [
+        {
+            _default: {
+                type: 'message',
+                content: 'Let me look that up.',
+                reasoning: 'The user wants a search.',
+                tool_calls: [{ id: 'toolu_search', name: 'search', arguments: { query: 'llm', limit: 3 } }],
+            },
+        },
+    ],
 };
 
 test('Anthropic SDK covers messages, streaming, and token counting', async () => {
@@ -43,11 +58,35 @@ test('Anthropic SDK covers messages, streaming, and token counting', async () =>
     });
 });
 
+test('Anthropic SDK reports max_tokens and stop_sequence stops', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        const truncated = await client.messages.create({
+            model: 'echo',
+            max_tokens: 5,
+            messages: [{ role: 'user', content: [{ type: 'text', text: 'hello world' }] }],
+        });
+        assert.equal(truncated.content[0].text, 'hello');
+        assert.equal(truncated.stop_reason, 'max_tokens');
+        assert.equal(truncated.usage.output_tokens, 5);
+
+        const stream = client.messages.stream({
+            model: 'echo',
+            max_tokens: 64,
+            stop_sequences: ['END'],
+            messages: [{ role: 'user', content: [{ type: 'text', text: 'first part END second part' }] }],
+        });
+        const stopped = await stream.finalMessage();
+        assert.equal(stopped.content[0].text, 'first part ');
+        assert.equal(stopped.stop_reason, 'stop_sequence');
+        assert.equal(stopped.stop_sequence, 'END');
+    });
+});
+
 test('Anthropic SDK returns tool_use content', async () => {
     await withServer(MODELS_CONFIG, async (client) => {
         const message = await client.messages.create({
             model: 'echo',
-            max_tokens: 16,
+            max_tokens: 64,
             messages: [{ role: 'user', content: [{ type: 'text', text: 'open file' }] }],
             tools: [
                 {
@@ -71,6 +110,78 @@ test('Anthropic SDK returns tool_use content', async () => {
     });
 });
 
+test('Anthropic SDK stream reconstructs the non-streaming message', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        const request = {
+            model: 'researcher',
+            max_tokens: 256,
+            messages: [{ role: 'user', content: 'find llm papers' }],
+        };
+        const message = await client.messages.create(request);
+        const events = [];
+        const stream = client.messages.stream(request);
+        stream.on('streamEvent', (event) => events.push(event));
+        const finalMessage = await stream.finalMessage();
+
+        assert.deepEqual(message.content.map((block) => block.type), ['thinking', 'text', 'tool_use']);
+        assert.equal(message.stop_reason, 'tool_use');
+        assert.deepEqual({ ...finalMessage, id: message.id }, message);
+
+        const deltaTypes = new Set(events.filter((event) => event.type === 'content_block_delta')
+            .map((event) => event.delta.type));
+        assert.deepEqual([...deltaTypes], ['thinking_delta', 'signature_delta', 'text_delta', 'input_json_delta']);
+    });
+});
+
+test('Anthropic SDK receives an overloaded_error event mid-stream', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        const stream = client.messages.stream({
+            model: 'overloaded',
+            max_tokens: 64,
+            messages: [{ role: 'user', content: 'hello' }],
+        }, { maxRetries: 0 });
+        await assert.rejects(stream.finalMessage(), (error) => {
+            assert.match(error.message, /overloaded_error/);
+            return true;
+        });
+    });
+});
+
+test('Anthropic SDK sees overloaded_error and honors x-should-retry', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        let attempts = 0;
+        const counting = client.withOptions({
+            maxRetries: 3,
+            fetch: (url, init) => {
+                attempts += 1;
+                return fetch(url, init);
+            },
+        });
+        await assert.rejects(
+            counting.messages.create({ model: 'busy', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] }),
+            (error) => {
+                assert.equal(error.status, 529);
+                assert.equal(error.error.error.type, 'overloaded_error');
+                return true;
+            },
+        );
+        assert.equal(attempts, 1);
+    });
+});
+
+test('Anthropic SDK receives anthropic-ratelimit headers', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        const { response } = await client.messages.create({
+            model: 'throttled',
+            max_tokens: 16,
+            messages: [{ role: 'user', content: 'hi' }],
+        }).withResponse();
+        assert.equal(response.headers.get('anthropic-ratelimit-requests-limit'), '5');
+        assert.equal(response.headers.get('anthropic-ratelimit-requests-remaining'), '4');
+        assert.ok(Date.parse(response.headers.get('anthropic-ratelimit-requests-reset')) > Date.now());
+    });
+});
+
 test('Anthropic SDK models endpoints return anthropic shape', async () => {
     await withServer(MODELS_CONFIG, async (client) => {
         const list = await client.models.list({}, {
@@ -13,6 +13,7 @@ async function withServer(modelsConfig, run) {
 
 const MODELS_CONFIG = {
     echo: [{ _default: { type: 'echo' } }],
+    quota: [{ _default: { type: 'error', code: 'RESOURCE_EXHAUSTED', retry_after: 7 } }],
 };
 
 test('Gemini SDK covers generate and countTokens', async () => {
@@ -39,7 +40,7 @@ test('Gemini SDK supports streaming and function calls', async () => {
         assert.equal(streamed, 'hello');
 
         const toolResult = await model.generateContent({
-            contents: [{ role: 'user', parts: [{ text: 'open file' }] }],
+            contents: [{ role: 'user', parts: [{ text: 'read file' }] }],
             tools: [
                 {
                     functionDeclarations: [
@@ -66,3 +67,85 @@ test('Gemini SDK supports streaming and function calls', async () => {
         assert.equal(calls[0].name, 'read_file');
     });
 });
+
+test('Gemini SDK omit_done stream keeps usageMetadata but drops the finish reason', async () => {
+    await withServer(MODELS_CONFIG, async (baseUrl) => {
+        const model = createGeminiModel(baseUrl, 'echo');
+        const streamResult = await model.generateContentStream('hello [[llmdbg fault=omit_done]]');
+        let streamed = '';
+        for await (const chunk of streamResult.stream) {
+            streamed += chunk.text();
+        }
+        const response = await streamResult.response;
+        assert.equal(streamed, 'hello');
+        assert.equal(response.usageMetadata.candidatesTokenCount, 5);
+        assert.equal(response.candidates[0].finishReason, undefined);
+    });
+});
+
+test('Gemini SDK receives JSON matching responseSchema', async () => {
+    await withServer(MODELS_CONFIG, async (baseUrl) => {
+        const model = createGeminiModel(baseUrl, 'echo');
+        const result = await model.generateContent({
+            contents: [{ role: 'user', parts: [{ text: 'list colors' }] }],
+            generationConfig: {
+                responseMimeType: 'application/json',
+                responseSchema: {
+                    type: 'ARRAY',
+                    items: { type: 'STRING', enum: ['red', 'green'] },
+                },
+            },
+        });
+
+        const colors = JSON.parse(result.response.text());
+        assert.ok(Array.isArray(colors));
+        assert.ok(colors.every((color) => ['red', 'green'].includes(color)));
+    });
+});
+
+test('Gemini SDK generationConfig.seed makes generated JSON reproducible', async () => {
+    await withServer(MODELS_CONFIG, async (baseUrl) => {
+        const model = createGeminiModel(baseUrl, 'echo');
+        const generate = (seed) => model.generateContent({
+            contents: [{ role: 'user', parts: [{ text: 'pick a ticket' }] }],
+            generationConfig: {
+                seed,
+                responseMimeType: 'application/json',
+                responseSchema: {
+                    type: 'OBJECT',
+                    properties: { id: { type: 'STRING', format: 'uuid' }, count: { type: 'INTEGER' } },
+                    required: ['id', 'count'],
+                },
+            },
+        }).then((result) => JSON.parse(result.response.text()));
+
+        const first = await generate(11);
+        assert.deepEqual(await generate(11), first);
+        assert.notDeepEqual(await generate(12), first);
+    });
+});
+
+test('Gemini SDK receives candidateCount candidates', async () => {
+    await withServer(MODELS_CONFIG, async (baseUrl) => {
+        const model = createGeminiModel(baseUrl, 'echo');
+        const result = await model.generateContent({
+            contents: [{ role: 'user', parts: [{ text: 'hello' }] }],
+            generationConfig: { candidateCount: 2 },
+        });
+
+        const texts = result.response.candidates.map((candidate) => candidate.content.parts[0].text);
+        assert.deepEqual(texts, ['hello', 'hello']);
+        assert.equal(result.response.usageMetadata.candidatesTokenCount, 'hellohello'.length);
+    });
+});
+
+test('Gemini SDK receives RESOURCE_EXHAUSTED with retry info', async () => {
+    await withServer(MODELS_CONFIG, async (baseUrl) => {
+        const model = createGeminiModel(baseUrl, 'quota');
+        await assert.rejects(model.generateContent('hello'), (error) => {
+            assert.equal(error.status, 429);
+            assert.equal(error.errorDetails[0].retryDelay, '7s');
+            return true;
+        });
+    });
+});
@@ -15,8 +15,18 @@ export async function startTestServer({ modelsConfig = {}, configOverrides = {}
         defaultBehavior: 'Echo',
         embeddingSize: 8,
         latencyMs: 0,
+        latencyProfile: null,
         errorRate: 0,
+        randomSeed: null,
+        rateLimitRpm: 0,
+        rateLimitTpm: 0,
         tokenCounting: 'chars',
+        streamChunkSize: 4,
+        streamChunkUnit: 'chars',
+        requestLog: null,
+        requestLogMaxBytes: 0,
+        requestLogMaxAgeMinutes: 0,
+        requestLogRedact: [],
         enableGeminiOpenAiCompat: false,
         configDir: process.cwd(),
         modelsConfig: modelsConfig || {},
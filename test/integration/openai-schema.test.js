@@ -269,8 +269,9 @@ test('OpenAI responses API streaming includes usage in completed event', async (
         }
 
         assert.ok(completedEvent, 'Streaming should include response.completed event');
-        assert.ok(completedEvent.usage, 'Completed event should include usage');
-        assert.ok(typeof completedEvent.usage.input_tokens === 'number', 'input_tokens should be a number');
-        assert.ok(typeof completedEvent.usage.output_tokens === 'number', 'output_tokens should be a number');
+        const { usage } = completedEvent.response;
+        assert.ok(usage, 'Completed event should include usage');
+        assert.ok(typeof usage.input_tokens === 'number', 'input_tokens should be a number');
+        assert.ok(typeof usage.output_tokens === 'number', 'output_tokens should be a number');
     });
 });
@@ -1,12 +1,15 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import { toFile } from 'openai';
 import { closeServer, createOpenAIClient, startTestServer } from './helpers.js';
 
-async function withServer(modelsConfig, run) {
-    const { server, baseUrl } = await startTestServer({ modelsConfig });
+async function withServer(modelsConfig, run, configOverrides = {}) {
+    const { server, baseUrl } = await startTestServer({ modelsConfig, configOverrides });
     try {
-        await run(createOpenAIClient(baseUrl));
+        await run(createOpenAIClient(baseUrl), baseUrl);
     } finally {
         await closeServer(server);
     }
@@ -18,6 +21,53 @@ const MODELS_CONFIG = {
         { 'load fixture': { type: 'file', path: 'fixtures/recorded-response.yaml' } },
         { _default: { type: 'echo' } },
     ],
+    agent: [
+        {
+            _default: {
+                type: 'sequence',
+                responses: [
+                    { type: 'message', tool_calls: [{ name: 'read_file', arguments: { path: 'a.txt' } }] },
+                    { type: 'message', tool_calls: [{ name: 'write_file', arguments: { path: 'b.txt' } }] },
+                    'All done',
+                ],
+            },
+        },
+    ],
+    ranker: [
+        {
+            _default: {
+                type: 'message',
+                content: 'First draft',
+                alternatives: ['Second draft', 'Third draft'],
+            },
+        },
+    ],
+    researcher: [
+        {
+            _default: {
+                type: 'message',
+                content: 'Searching now.',
+                reasoning: 'The user wants a search.',
+                tool_calls: [{ id: 'call_search', name: 'search', arguments: { query: 'llm' } }],
+            },
+        },
+    ],
+    slowpoke: [
+        { _latency: { ttft_ms: 150, inter_token_ms: 0 } },
+        { _default: { type: 'message', content: 'slow start', latency: { inter_token_ms: 5 } } },
+    ],
+    flaky: [{ _default: { type: 'flaky', failures: 2, status: 503, retry_after_ms: 10, response: 'recovered' } }],
+    limited: [{ _default: { type: 'error', code: 'rate_limit_error', retry_after_ms: 10 } }],
+    throttled: [{ _rate_limits: { requests_per_minute: 2, tokens_per_minute: 1000 } }, { _default: 'ok' }],
+    typist: [{ _default: { type: 'message', chunks: ['Hel', 'lo ', 'there'] } }],
+    onboarding: [
+        {
+            _default: {
+                type: 'sequence',
+                responses: [{ type: 'flaky', retry_after_ms: 10, response: 'step one' }, 'step two'],
+            },
+        },
+    ],
 };
 
 test('OpenAI SDK covers core endpoints', async () => {
@@ -124,6 +174,681 @@ test('OpenAI SDK supports streaming, tools, and fixtures', async () => {
     });
 });
 
+test('OpenAI SDK receives tool arguments generated from the tool schema', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        const request = {
+            model: 'echo',
+            seed: 7,
+            messages: [{ role: 'user', content: 'list files' }],
+            tools: [
+                {
+                    type: 'function',
+                    function: {
+                        name: 'list_files',
+                        parameters: {
+                            type: 'object',
+                            properties: {
+                                path: { type: 'string' },
+                                depth: { type: 'integer', minimum: 1, maximum: 3 },
+                                sort: { type: 'string', enum: ['name', 'size'] },
+                            },
+                            required: ['path', 'depth'],
+                        },
+                    },
+                },
+            ],
+            tool_choice: 'required',
+        };
+        const first = await client.chat.completions.create(request);
+        const second = await client.chat.completions.create(request);
+        const args = JSON.parse(first.choices[0].message.tool_calls[0].function.arguments);
+
+        assert.equal(typeof args.path, 'string');
+        assert.ok(args.depth >= 1 && args.depth <= 3);
+        assert.ok(['name', 'size'].includes(args.sort));
+        assert.equal(second.choices[0].message.tool_calls[0].function.arguments, JSON.stringify(args));
+    });
+});
+
+test('OpenAI SDK receives n choices', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        const chat = await client.chat.completions.create({
+            model: 'ranker',
+            messages: [{ role: 'user', content: 'draft' }],
+            n: 3,
+        });
+        assert.deepEqual(chat.choices.map((choice) => choice.index), [0, 1, 2]);
+        assert.deepEqual(
+            chat.choices.map((choice) => choice.message.content),
+            ['First draft', 'Second draft', 'Third draft'],
+        );
+        assert.equal(chat.usage.completion_tokens, 'First draftSecond draftThird draft'.length);
+
+        const stream = await client.chat.completions.create({
+            model: 'ranker',
+            messages: [{ role: 'user', content: 'draft' }],
+            n: 2,
+            stream: true,
+        });
+        const streamed = ['', ''];
+        for await (const chunk of stream) {
+            for (const choice of chunk.choices) {
+                streamed[choice.index] += choice.delta?.content ?? '';
+            }
+        }
+        assert.deepEqual(streamed, ['First draft', 'Second draft']);
+
+        const completion = await client.completions.create({ model: 'echo', prompt: 'hey', n: 2 });
+        assert.deepEqual(completion.choices.map((choice) => choice.text), ['hey', 'hey']);
+    });
+});
+
+test('OpenAI SDK accumulates parallel streamed tool calls', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        const tool = (name) => ({
+            type: 'function',
+            function: { name, parameters: { type: 'object', properties: { path: { type: 'string' } } } },
+        });
+        const stream = client.chat.completions.stream({
+            model: 'echo',
+            messages: [{ role: 'user', content: 'sync files' }],
+            tools: [tool('read_file'), tool('write_file')],
+            tool_choice: 'required',
+        }, {
+            headers: { 'x-tool-calls': '2' },
+        });
+        const completion = await stream.finalChatCompletion();
+        const calls = completion.choices[0].message.tool_calls;
+        assert.deepEqual(calls.map((call) => call.function.name), ['read_file', 'write_file']);
+        assert.equal(typeof JSON.parse(calls[1].function.arguments).path, 'string');
+    });
+});
+
+test('OpenAI SDK receives JSON matching the requested response schema', async () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            age: { type: 'integer', minimum: 0, maximum: 120 },
+        },
+        required: ['name', 'age'],
+        additionalProperties: false,
+    };
+    await withServer(MODELS_CONFIG, async (client) => {
+        const chat = await client.chat.completions.create({
+            model: 'echo',
+            messages: [{ role: 'user', content: 'Extract: Ada, 36' }],
+            response_format: { type: 'json_schema', json_schema: { name: 'person', schema, strict: true } },
+        });
+        const person = JSON.parse(chat.choices[0].message.content);
+        assert.equal(typeof person.name, 'string');
+        assert.ok(Number.isInteger(person.age) && person.age >= 0 && person.age <= 120);
+
+        const valid = await client.chat.completions.create({
+            model: 'echo',
+            messages: [{ role: 'user', content: '{"name":"Ada","age":36}' }],
+            response_format: { type: 'json_schema', json_schema: { name: 'person', schema, strict: true } },
+        });
+        assert.deepEqual(JSON.parse(valid.choices[0].message.content), { name: 'Ada', age: 36 });
+
+        const response = await client.responses.create({
+            model: 'echo',
+            input: 'Extract: Ada, 36',
+            text: { format: { type: 'json_schema', name: 'person', schema, strict: true } },
+        });
+        assert.deepEqual(Object.keys(JSON.parse(response.output[0].content[0].text)), ['name', 'age']);
+    });
+});
+
+test('OpenAI SDK walks sequence directives by history and session', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        const messages = [{ role: 'user', content: 'start' }];
+        const names = [];
+        for (let turn = 0; turn < 2; turn += 1) {
+            const completion = await client.chat.completions.create({ model: 'agent', messages });
+            const message = completion.choices[0].message;
+            const call = message.tool_calls[0];
+            names.push(call.function.name);
+            messages.push(message, { role: 'tool', tool_call_id: call.id, content: 'ok' });
+        }
+        const final = await client.chat.completions.create({ model: 'agent', messages });
+        assert.deepEqual(names, ['read_file', 'write_file']);
+        assert.equal(final.choices[0].message.content, 'All done');
+
+        const sessionTexts = [];
+        for (let turn = 0; turn < 4; turn += 1) {
+            const completion = await client.chat.completions.create({
+                model: 'agent',
+                messages: [{ role: 'user', content: 'start' }],
+            }, {
+                headers: { 'x-session-id': 'session-1' },
+            });
+            const message = completion.choices[0].message;
+            sessionTexts.push(message.tool_calls?.[0]?.function.name ?? message.content);
+        }
+        assert.deepEqual(sessionTexts, ['read_file', 'write_file', 'All done', 'All done']);
+    });
+});
+
+test('OpenAI SDK retries replay the same sequence step', async () => {
+    await withServer(MODELS_CONFIG, async (client, baseUrl) => {
+        const ask = () => client.chat.completions.create({
+            model: 'onboarding',
+            messages: [{ role: 'user', content: 'next' }],
+        }, { headers: { 'x-session-id': 'onboarding-1' }, maxRetries: 1 });
+        assert.equal((await ask()).choices[0].message.content, 'step one');
+        assert.equal((await ask()).choices[0].message.content, 'step two');
+
+        await fetch(`${baseUrl}/__debug/state`, { method: 'DELETE' });
+        assert.equal((await ask()).choices[0].message.content, 'step one');
+    });
+});
+
+test('OpenAI SDK receives streamed content in chunks', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        const stream = await client.chat.completions.create({
+            model: 'echo',
+            messages: [{ role: 'user', content: 'one two three four' }],
+            stream: true,
+        }, {
+            headers: { 'x-stream-chunk-size': '2', 'x-stream-chunk-unit': 'words' },
+        });
+        const pieces = [];
+        for await (const chunk of stream) {
+            const content = chunk.choices?.[0]?.delta?.content;
+            if (content) pieces.push(content);
+        }
+        assert.deepEqual(pieces, ['one two ', 'three four']);
+
+        const explicit = await client.chat.completions.create({
+            model: 'typist',
+            messages: [{ role: 'user', content: 'hi' }],
+            stream: true,
+        });
+        const explicitPieces = [];
+        for await (const chunk of explicit) {
+            const content = chunk.choices?.[0]?.delta?.content;
+            if (content) explicitPieces.push(content);
+        }
+        assert.deepEqual(explicitPieces, ['Hel', 'lo ', 'there']);
+    });
+});
+
+test('OpenAI SDK follows the full Responses streaming lifecycle', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        const stream = client.responses.stream({ model: 'researcher', input: 'find papers' });
+        const types = [];
+        const sequenceNumbers = [];
+        for await (const event of stream) {
+            types.push(event.type);
+            sequenceNumbers.push(event.sequence_number);
+        }
+        const final = await stream.finalResponse();
+
+        assert.deepEqual(sequenceNumbers, types.map((_, index) => index));
+        assert.equal(types[0], 'response.created');
+        assert.equal(types[1], 'response.in_progress');
+        assert.equal(types.at(-1), 'response.completed');
+        for (const type of [
+            'response.reasoning_summary_text.delta',
+            'response.content_part.added',
+            'response.output_text.done',
+            'response.function_call_arguments.delta',
+            'response.function_call_arguments.done',
+            'response.output_item.done',
+        ]) {
+            assert.ok(types.includes(type), type);
+        }
+
+        assert.deepEqual(final.output.map((item) => item.type), ['reasoning', 'message', 'function_call']);
+        assert.equal(final.output[1].content[0].text, 'Searching now.');
+        assert.equal(final.output[0].summary[0].text, 'The user wants a search.');
+        assert.deepEqual(JSON.parse(final.output[2].arguments), { query: 'llm' });
+    });
+});
+
+test('OpenAI SDK surfaces mid-stream faults', async () => {
+    await withServer(MODELS_CONFIG, async (client, baseUrl) => {
+        const consume = async (fault) => {
+            const stream = await client.chat.completions.create({
+                model: 'echo',
+                messages: [{ role: 'user', content: 'a long enough message to stream' }],
+                stream: true,
+            }, {
+                headers: { 'x-stream-fault': fault, 'x-stream-fault-after': '2' },
+                maxRetries: 0,
+            });
+            let text = '';
+            for await (const chunk of stream) {
+                text += chunk.choices?.[0]?.delta?.content ?? '';
+            }
+            return text;
+        };
+
+        await assert.rejects(consume('destroy'));
+        await assert.rejects(consume('malformed'), SyntaxError);
+        await assert.rejects(consume('error'), /server had an error/);
+
+        const response = await fetch(`${baseUrl}/v1/chat/completions`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'x-stream-fault': 'omit_done' },
+            body: JSON.stringify({ model: 'echo', messages: [{ role: 'user', content: 'hi' }], stream: true }),
+        });
+        const body = await response.text();
+        assert.ok(body.includes('"finish_reason":"stop"'));
+        assert.ok(!body.includes('[DONE]'));
+
+        const controller = new AbortController();
+        const hanging = await fetch(`${baseUrl}/v1/chat/completions`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'x-stream-fault': 'hang', 'x-stream-fault-after': '1' },
+            body: JSON.stringify({ model: 'echo', messages: [{ role: 'user', content: 'hi' }], stream: true }),
+            signal: controller.signal,
+        });
+        const reader = hanging.body.getReader();
+        const first = await reader.read();
+        assert.ok(new TextDecoder().decode(first.value).includes('chat.completion.chunk'));
+        const next = reader.read();
+        const timedOut = await Promise.race([
+            next.then(() => false),
+            new Promise((resolve) => setTimeout(() => resolve(true), 100)),
+        ]);
+        assert.ok(timedOut);
+        controller.abort();
+        await next.catch(() => {});
+    });
+});
+
+test('OpenAI SDK waits for the latency profile time-to-first-token', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        const startedAt = Date.now();
+        const stream = await client.chat.completions.create({
+            model: 'slowpoke',
+            messages: [{ role: 'user', content: 'hi' }],
+            stream: true,
+        });
+        let firstChunkAt = null;
+        let text = '';
+        for await (const chunk of stream) {
+            firstChunkAt ??= Date.now();
+            text += chunk.choices?.[0]?.delta?.content ?? '';
+        }
+        assert.equal(text, 'slow start');
+        assert.ok(firstChunkAt - startedAt >= 140);
+    });
+});
+
+test('OpenAI SDK abort closes the stream and is recorded as cancelled', async () => {
+    await withServer(MODELS_CONFIG, async (client, baseUrl) => {
+        const controller = new AbortController();
+        const stream = await client.chat.completions.create({
+            model: 'echo',
+            messages: [{ role: 'user', content: 'a message that streams slowly enough to abort' }],
+            stream: true,
+        }, {
+            headers: { 'x-delay-ms': '3000', 'x-request-id': 'req_abort' },
+            signal: controller.signal,
+        });
+        let received = 0;
+        for await (const chunk of stream) {
+            received += 1;
+            if (chunk.choices?.[0]?.delta?.content) controller.abort();
+        }
+        assert.equal(received, 1);
+
+        let entry = null;
+        for (let attempt = 0; attempt < 50 && !entry; attempt += 1) {
+            const response = await fetch(`${baseUrl}/__debug/requests`);
+            const { data } = await response.json();
+            entry = data.find((item) => item.id === 'req_abort');
+            if (!entry) await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        assert.equal(entry.cancelled, true);
+        assert.ok(entry.stream.chunks_sent >= 1);
+        assert.ok(entry.stream.chunks_sent < entry.stream.total_chunks);
+        assert.ok(entry.duration_ms < 3000);
+    });
+});
+
+test('OpenAI SDK retries rate limits using retry-after-ms', async () => {
+    await withServer(MODELS_CONFIG, async (client, baseUrl) => {
+        await assert.rejects(
+            client.chat.completions.create({
+                model: 'limited',
+                messages: [{ role: 'user', content: 'hi' }],
+            }, { maxRetries: 2 }),
+            (error) => {
+                assert.equal(error.status, 429);
+                assert.equal(error.code, 'rate_limit_exceeded');
+                assert.equal(error.headers.get('retry-after-ms'), '10');
+                return true;
+            },
+        );
+
+        const response = await fetch(`${baseUrl}/__debug/requests`);
+        const { data } = await response.json();
+        assert.equal(data.filter((entry) => entry.status === 429).length, 3);
+    });
+});
+
+test('OpenAI SDK retries flaky requests until they succeed', async () => {
+    await withServer(MODELS_CONFIG, async (client, baseUrl) => {
+        const chat = await client.chat.completions.create({
+            model: 'flaky',
+            messages: [{ role: 'user', content: 'hi' }],
+        }, { maxRetries: 2 });
+        assert.equal(chat.choices[0].message.content, 'recovered');
+
+        await assert.rejects(
+            client.chat.completions.create({
+                model: 'echo',
+                messages: [{ role: 'user', content: 'again' }],
+                simulate_error: { type: 'flaky', failures: 1, status: 500 },
+            }, { maxRetries: 0 }),
+            (error) => error.status === 500,
+        );
+        const retried = await client.chat.completions.create({
+            model: 'echo',
+            messages: [{ role: 'user', content: 'again' }],
+            simulate_error: { type: 'flaky', failures: 1, status: 500 },
+        }, { maxRetries: 0 });
+        assert.equal(retried.choices[0].message.content, 'again');
+
+        const response = await fetch(`${baseUrl}/__debug/requests`);
+        const { data } = await response.json();
+        assert.deepEqual(data.map((entry) => entry.status), [200, 500, 200, 503, 503]);
+
+        const inline = { model: 'echo', messages: [{ role: 'user', content: 'once more [[llmdbg error=flaky:1:429]]' }] };
+        await assert.rejects(client.chat.completions.create(inline, { maxRetries: 0 }), (error) => error.status === 429);
+        const recovered = await client.chat.completions.create(inline, { maxRetries: 0 });
+        assert.equal(recovered.choices[0].message.content, 'once more');
+
+        const reset = await fetch(`${baseUrl}/__debug/state`, { method: 'DELETE' });
+        assert.equal(reset.status, 200);
+        await assert.rejects(
+            client.chat.completions.create({ model: 'flaky', messages: [{ role: 'user', content: 'hi' }] }, {
+                maxRetries: 0,
+            }),
+            (error) => error.status === 503,
+        );
+    });
+});
+
+test('OpenAI SDK requests are captured for inspection', async () => {
+    await withServer(MODELS_CONFIG, async (client, baseUrl) => {
+        const { response } = await client.chat.completions.create({
+            model: 'echo',
+            temperature: 0.3,
+            messages: [
+                { role: 'system', content: 'You are terse.' },
+                { role: 'user', content: 'hello' },
+            ],
+        }, { headers: { 'x-session-id': 'capture-1' } }).withResponse();
+        const stream = await client.chat.completions.create({
+            model: 'typist',
+            messages: [{ role: 'user', content: 'type' }],
+            stream: true,
+        });
+        for await (const chunk of stream) {
+            assert.ok(chunk);
+        }
+
+        const listed = await fetch(`${baseUrl}/__debug/requests?session=capture-1`).then((res) => res.json());
+        assert.equal(listed.data.length, 1);
+        const [captured] = listed.data;
+        assert.equal(captured.id, response.headers.get('x-request-id'));
+        assert.equal(captured.resolved_model, 'echo');
+        assert.equal(captured.request.body.temperature, 0.3);
+        assert.equal(captured.request.body.messages[0].content, 'You are terse.');
+        assert.equal(captured.request.headers.authorization, '[REDACTED]');
+        assert.equal(captured.response.body.choices[0].message.content, 'hello');
+
+        const secret = await client.chat.completions.create({
+            model: 'echo',
+            messages: [{ role: 'user', content: 'hello' }],
+        }, { headers: { authorization: 'Bearer sk-live-secret' } }).withResponse();
+        const masked = await fetch(`${baseUrl}/__debug/requests/${secret.response.headers.get('x-request-id')}`)
+            .then((res) => res.text());
+        assert.ok(masked.includes('"authorization":"[REDACTED]"'));
+        assert.ok(!masked.includes('sk-live-secret'));
+
+        await fetch(`${baseUrl}/health`);
+        await fetch(`${baseUrl}/inspect`);
+        await client.chat.completions.create({
+            model: 'echo',
+            messages: [{ role: 'user', content: 'tagged [[llmdbg session=capture-2]]' }],
+        });
+        const tagged = await fetch(`${baseUrl}/__debug/requests?session=capture-2`).then((res) => res.json());
+        assert.equal(tagged.data.length, 1);
+        assert.equal(tagged.data[0].input, 'tagged');
+
+        const streamed = await fetch(`${baseUrl}/__debug/requests?model=typist`).then((res) => res.json());
+        const detail = await fetch(`${baseUrl}/__debug/requests/${streamed.data[0].id}`).then((res) => res.json());
+        assert.equal(detail.stream.chunks.length, detail.stream.total_chunks);
+        assert.equal(detail.stream.chunks.at(-1).data, '[DONE]');
+        assert.ok(detail.stream.chunks.every((chunk) => chunk.offset_ms >= 0));
+
+        const cleared = await fetch(`${baseUrl}/__debug/requests`, { method: 'DELETE' }).then((res) => res.json());
+        assert.equal(cleared.deleted, 4);
+        const missing = await fetch(`${baseUrl}/__debug/requests/${captured.id}`);
+        assert.equal(missing.status, 404);
+    });
+});
+
+test('OpenAI SDK traffic is pushed live to the inspector', async () => {
+    await withServer(MODELS_CONFIG, async (client, baseUrl) => {
+        const page = await fetch(`${baseUrl}/inspect`).then((res) => res.text());
+        assert.match(page, /<title>LLM Debugger Inspector<\/title>/);
+
+        const controller = new AbortController();
+        const events = await fetch(`${baseUrl}/__debug/requests/stream`, { signal: controller.signal });
+        assert.equal(events.headers.get('content-type'), 'text/event-stream');
+        const reader = events.body.pipeThrough(new TextDecoderStream()).getReader();
+        try {
+            await client.chat.completions.create({ model: 'gpt-4', messages: [{ role: 'user', content: 'hello' }] });
+            let buffer = '';
+            while (!buffer.includes('event: request')) {
+                const { value, done } = await reader.read();
+                if (done) assert.fail(`request stream ended before a request event: ${buffer}`);
+                buffer += value;
+            }
+            const line = buffer.split('\n').find((item) => item.startsWith('data: '));
+            const entry = JSON.parse(line.slice('data: '.length));
+            assert.equal(entry.path, '/v1/chat/completions');
+            assert.deepEqual(entry.trigger, { model: 'gpt-4', match: '_default' });
+            assert.equal(entry.request.body.messages[0].content, 'hello');
+        } finally {
+            controller.abort();
+        }
+    });
+});
+
+test('inspector data calls accept the page key when auth is required', async () => {
+    await withServer(MODELS_CONFIG, async (client, baseUrl) => {
+        assert.equal((await fetch(`${baseUrl}/inspect`)).status, 401);
+        const page = await fetch(`${baseUrl}/inspect?key=test-key`).then((res) => res.text());
+        assert.match(page, /withPageKey\("\/__debug\/requests\/stream"\)/);
+
+        await client.chat.completions.create({ model: 'echo', messages: [{ role: 'user', content: 'hi' }] });
+        assert.equal((await fetch(`${baseUrl}/__debug/requests`)).status, 401);
+        const listed = await fetch(`${baseUrl}/__debug/requests?key=test-key`).then((res) => res.json());
+        assert.equal(listed.data.length, 1);
+    }, { requireAuth: true });
+});
+
+test('OpenAI SDK traffic is appended to the JSONL request log', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'llmdbg-traffic-'));
+    const requestLog = join(dir, 'traffic.jsonl');
+    try {
+        await withServer(MODELS_CONFIG, async (client) => {
+            await client.chat.completions.create({ model: 'echo', messages: [{ role: 'user', content: 'hi' }] });
+            const stream = await client.chat.completions.create({
+                model: 'typist',
+                messages: [{ role: 'user', content: 'type' }],
+                stream: true,
+            });
+            for await (const chunk of stream) {
+                assert.ok(chunk);
+            }
+        }, { requestLog, requestLogRedact: ['authorization'] });
+
+        const entries = readFileSync(requestLog, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+        assert.equal(entries.length, 2);
+        assert.equal(entries[0].request.headers.authorization, '[REDACTED]');
+        assert.equal(entries[0].response.body.choices[0].message.content, 'hi');
+        assert.equal(entries[1].stream.output, 'Hello there');
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('OpenAI SDK honors inline llmdbg directives in the last user message', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        await assert.rejects(
+            client.chat.completions.create({
+                model: 'echo',
+                messages: [{ role: 'user', content: 'hi [[llmdbg error=rate_limit_error]]' }],
+            }, { maxRetries: 0 }),
+            (error) => error.status === 429,
+        );
+
+        const echoed = await client.chat.completions.create({
+            model: 'echo',
+            messages: [{ role: 'user', content: '[[llmdbg delay=20]] hello there' }],
+        });
+        assert.equal(echoed.choices[0].message.content, 'hello there');
+
+        const tooled = await client.chat.completions.create({
+            model: 'echo',
+            messages: [{ role: 'user', content: 'go [[llmdbg tool=read_file tool_args=\'{"path":"a.txt"}\']]' }],
+            tools: [{ type: 'function', function: { name: 'read_file', parameters: { type: 'object' } } }],
+        });
+        const call = tooled.choices[0].message.tool_calls[0];
+        assert.equal(call.function.name, 'read_file');
+        assert.deepEqual(JSON.parse(call.function.arguments), { path: 'a.txt' });
+
+        const followUp = await client.chat.completions.create({
+            model: 'echo',
+            messages: [
+                { role: 'user', content: 'go [[llmdbg error=500 tool=read_file]]' },
+                {
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [{ id: call.id, type: 'function', function: call.function }],
+                },
+                { role: 'tool', tool_call_id: call.id, content: 'file contents' },
+            ],
+            tools: [{ type: 'function', function: { name: 'read_file', parameters: { type: 'object' } } }],
+        }, { maxRetries: 0 });
+        assert.equal(followUp.choices[0].message.tool_calls, undefined);
+
+        const thinker = await client.responses.create({
+            model: 'echo',
+            input: 'ponder [[llmdbg behavior=Thinker]]',
+        });
+        assert.equal(thinker.output[0].type, 'reasoning');
+
+        await assert.rejects(
+            client.responses.create({
+                model: 'echo',
+                input: [
+                    { role: 'user', content: 'earlier [[llmdbg error=500]]' },
+                    { role: 'assistant', content: 'ok' },
+                    { role: 'user', content: [{ type: 'input_text', text: 'now [[llmdbg error="429"]]' }] },
+                ],
+            }, { maxRetries: 0 }),
+            (error) => error.status === 429,
+        );
+        const latest = await client.responses.create({
+            model: 'echo',
+            input: [
+                { role: 'user', content: 'earlier [[llmdbg error=500]]' },
+                { role: 'assistant', content: 'ok' },
+                { role: 'user', content: 'latest' },
+            ],
+        });
+        assert.equal(latest.output_text, 'latest');
+    });
+});
+
+test('OpenAI SDK replays injected errors with a global random seed', async () => {
+    const runOnce = async () => {
+        const statuses = [];
+        await withServer(MODELS_CONFIG, async (client) => {
+            for (let index = 0; index < 12; index += 1) {
+                try {
+                    await client.chat.completions.create({
+                        model: 'echo',
+                        messages: [{ role: 'user', content: 'hi' }],
+                    }, { maxRetries: 0 });
+                    statuses.push(200);
+                } catch (error) {
+                    statuses.push(error.status);
+                }
+            }
+        }, { randomSeed: '42', errorRate: 0.5 });
+        return statuses;
+    };
+
+    const first = await runOnce();
+    assert.deepEqual(await runOnce(), first);
+    assert.ok(first.includes(200) && first.includes(500));
+});
+
+test('OpenAI SDK reads rate limit headers and is throttled per API key', async () => {
+    await withServer(MODELS_CONFIG, async (client) => {
+        const request = { model: 'throttled', messages: [{ role: 'user', content: 'hello' }] };
+        const { response } = await client.chat.completions.create(request).withResponse();
+        assert.equal(response.headers.get('x-ratelimit-limit-requests'), '2');
+        assert.equal(response.headers.get('x-ratelimit-remaining-requests'), '1');
+        assert.equal(response.headers.get('x-ratelimit-remaining-tokens'), '993');
+        assert.ok(response.headers.get('x-ratelimit-reset-requests'));
+
+        await assert.rejects(client.chat.completions.create(request, {
+            headers: { 'x-error': '500' },
+            maxRetries: 0,
+        }), (error) => {
+            assert.equal(error.status, 500);
+            assert.equal(error.headers.get('x-ratelimit-remaining-requests'), '1');
+            return true;
+        });
+        const model = await client.models.retrieve('throttled').withResponse();
+        assert.equal(model.response.headers.get('x-ratelimit-remaining-requests'), '1');
+
+        await client.chat.completions.create(request);
+        await assert.rejects(client.chat.completions.create(request, { maxRetries: 0 }), (error) => {
+            assert.equal(error.status, 429);
+            assert.ok(Number(error.headers.get('retry-after-ms')) > 0);
+            assert.equal(error.headers.get('x-ratelimit-remaining-requests'), '0');
+            return true;
+        });
+
+        const otherKey = await client.chat.completions.create(request, {
+            headers: { authorization: 'Bearer other-key' },
+        });
+        assert.equal(otherKey.choices[0].message.content, 'ok');
+
+        const embedding = await client.embeddings.create({ model: 'throttled', input: 'hello' }, {
+            headers: { authorization: 'Bearer embedding-key' },
+        }).withResponse();
+        assert.equal(embedding.response.headers.get('x-ratelimit-remaining-requests'), '1');
+        assert.equal(embedding.response.headers.get('x-ratelimit-remaining-tokens'), '995');
+    });
+});
+
+test('validation errors for a rate-limited model carry rate limit headers', async () => {
+    await withServer(MODELS_CONFIG, async (client, baseUrl) => {
+        const response = await fetch(`${baseUrl}/v1/chat/completions`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', authorization: 'Bearer test-key' },
+            body: JSON.stringify({ model: 'throttled', messages: [], bogus: true }),
+        });
+        assert.equal(response.status, 400);
+        assert.equal(response.headers.get('x-ratelimit-limit-requests'), '2');
+        assert.equal(response.headers.get('x-ratelimit-remaining-requests'), '2');
+    }, { strictValidation: true });
+});
+
 test('OpenAI SDK exercises media and file endpoints', async () => {
     await withServer(MODELS_CONFIG, async (client) => {
         const audioFile = await toFile(Buffer.from('audio'), 'audio.wav');
@@ -177,3 +902,45 @@ test('OpenAI SDK exercises media and file endpoints', async () => {
         assert.equal(deleted.deleted, true);
     });
 });
+
+test('OpenAI SDK agent loop is verified against registered expectations', async () => {
+    await withServer(MODELS_CONFIG, async (client, baseUrl) => {
+        const register = (body) => fetch(`${baseUrl}/__debug/expectations`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        const created = await register([
+            { id: 'agent-calls', model: 'agent', path: '/v1/chat/completions', times: 3 },
+            { id: 'tool-results', model: 'agent', message: 'tool:*', tools: ['read_file'], times: { exactly: 2 } },
+            { id: 'no-echo', model: 'echo', times: 0 },
+            { id: 'embeddings', path: '/v1/embeddings' },
+        ]);
+        assert.equal(created.status, 201);
+        assert.equal((await created.json()).data.length, 4);
+        const invalid = await register({ model: 'agent', times: { at_least: 2, at_most: 1 } });
+        assert.equal(invalid.status, 400);
+
+        const tools = ['read_file', 'write_file'].map((name) => ({ type: 'function', function: { name } }));
+        const messages = [{ role: 'user', content: 'start' }];
+        for (let turn = 0; turn < 3; turn += 1) {
+            const completion = await client.chat.completions.create({ model: 'agent', messages, tools });
+            const message = completion.choices[0].message;
+            const call = message.tool_calls?.[0];
+            if (call) messages.push(message, { role: 'tool', tool_call_id: call.id, content: 'ok' });
+        }
+        await client.chat.completions.create({ model: 'echo', messages: [{ role: 'user', content: 'hi' }] });
+
+        const report = await fetch(`${baseUrl}/__debug/verify`).then((res) => res.json());
+        assert.equal(report.ok, false);
+        assert.deepEqual(report.met.map((item) => item.id), ['agent-calls', 'tool-results']);
+        assert.deepEqual(report.unmet.map((item) => item.id), ['embeddings']);
+        assert.deepEqual(report.violated.map((item) => [item.id, item.count]), [['no-echo', 1]]);
+        assert.equal(report.met[1].request_ids.length, 2);
+
+        const cleared = await fetch(`${baseUrl}/__debug/expectations`, { method: 'DELETE' }).then((res) => res.json());
+        assert.equal(cleared.deleted, 4);
+        const empty = await fetch(`${baseUrl}/__debug/verify`).then((res) => res.json());
+        assert.deepEqual(empty, { ok: true, met: [], unmet: [], violated: [] });
+    });
+});
@@ -0,0 +1,288 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveResponse } from '../../src/behavior.js';
+import { normalizeModels } from '../../src/model-config.js';
+import { SessionStore } from '../../src/session-store.js';
+
+const CONFIG = {
+    modelRegistry: normalizeModels({}),
+    defaultBehavior: 'Echo',
+    tokenCounting: 'chars',
+};
+
+const OPENAI_TOOLS = [
+    { type: 'function', function: { name: 'read_file', parameters: { type: 'object', properties: {} } } },
+    { type: 'function', function: { name: 'search_web', parameters: { type: 'object', properties: {} } } },
+];
+
+async function toolNames({ message = 'hello', requestBody, headers = {}, toolResult }) {
+    const result = await resolveResponse({
+        config: CONFIG,
+        modelName: 'echo',
+        inputText: message,
+        lastUserMessage: message,
+        requestBody,
+        headers,
+        toolResult,
+    });
+    return (result.response.tool_calls || []).map((call) => call.name);
+}
+
+test('auto tool choice only calls tools the message mentions', async () => {
+    assert.deepEqual(await toolNames({ requestBody: { tools: OPENAI_TOOLS } }), []);
+    assert.deepEqual(await toolNames({ message: 'please search for it', requestBody: { tools: OPENAI_TOOLS } }), []);
+    assert.deepEqual(await toolNames({ message: 'call search_web for it', requestBody: { tools: OPENAI_TOOLS } }), [
+        'search_web',
+    ]);
+    assert.deepEqual(await toolNames({ message: 'Search Web, please', requestBody: { tools: OPENAI_TOOLS } }), [
+        'search_web',
+    ]);
+    assert.deepEqual(await toolNames({ message: 'research_website', requestBody: { tools: OPENAI_TOOLS } }), []);
+    assert.deepEqual(
+        await toolNames({
+            message: 'read file',
+            requestBody: { tools: OPENAI_TOOLS },
+            toolResult: { name: 'read_file', content: 'done' },
+        }),
+        [],
+    );
+});
+
+test('required and named tool choices always call tools', async () => {
+    assert.deepEqual(await toolNames({ requestBody: { tools: OPENAI_TOOLS, tool_choice: 'required' } }), ['read_file']);
+    assert.deepEqual(
+        await toolNames({ requestBody: { tools: OPENAI_TOOLS, tool_choice: { type: 'any' } } }),
+        ['read_file'],
+    );
+    assert.deepEqual(
+        await toolNames({
+            requestBody: { tools: OPENAI_TOOLS, tool_choice: { type: 'function', function: { name: 'search_web' } } },
+        }),
+        ['search_web'],
+    );
+    assert.deepEqual(
+        await toolNames({ message: 'read it', requestBody: { tools: OPENAI_TOOLS, tool_choice: 'none' } }),
+        [],
+    );
+});
+
+test('x-tool-calls requests parallel calls unless parallel use is disabled', async () => {
+    const headers = { 'x-tool-calls': '3' };
+    assert.deepEqual(
+        await toolNames({ requestBody: { tools: OPENAI_TOOLS, tool_choice: 'required' }, headers }),
+        ['read_file', 'search_web', 'read_file'],
+    );
+    assert.deepEqual(
+        await toolNames({
+            requestBody: { tools: OPENAI_TOOLS, tool_choice: 'required', parallel_tool_calls: false },
+            headers,
+        }),
+        ['read_file'],
+    );
+    assert.deepEqual(
+        await toolNames({
+            requestBody: { tools: OPENAI_TOOLS, tool_choice: { type: 'any', disable_parallel_tool_use: true } },
+            headers,
+        }),
+        ['read_file'],
+    );
+});
+
+test('configured tool calls are capped at one when parallel use is disabled', async () => {
+    const config = {
+        ...CONFIG,
+        modelRegistry: normalizeModels({
+            planner: [{
+                _default: {
+                    type: 'message',
+                    tool_calls: [
+                        { name: 'read_file', arguments: { path: 'a.txt' } },
+                        { name: 'search_web', arguments: { query: 'b' } },
+                    ],
+                },
+            }],
+        }),
+    };
+    const names = async (requestBody) => {
+        const result = await resolveResponse({
+            config,
+            modelName: 'planner',
+            inputText: 'plan',
+            lastUserMessage: 'plan',
+            requestBody,
+            headers: {},
+        });
+        return result.response.tool_calls.map((call) => call.name);
+    };
+
+    assert.deepEqual(await names({ tools: OPENAI_TOOLS }), ['read_file', 'search_web']);
+    assert.deepEqual(await names({ tools: OPENAI_TOOLS, parallel_tool_calls: false }), ['read_file']);
+    assert.deepEqual(
+        await names({ tools: OPENAI_TOOLS, tool_choice: { type: 'auto', disable_parallel_tool_use: true } }),
+        ['read_file'],
+    );
+});
+
+test('Gemini functionCallingConfig modes select tools', async () => {
+    const tools = [{ functionDeclarations: [{ name: 'read_file' }, { name: 'search_web' }] }];
+    const withMode = (mode, allowedFunctionNames) => ({
+        tools,
+        toolConfig: { functionCallingConfig: { mode, allowedFunctionNames } },
+    });
+
+    assert.deepEqual(await toolNames({ requestBody: withMode('ANY', ['search_web']) }), ['search_web']);
+    assert.deepEqual(await toolNames({ message: 'read file', requestBody: withMode('NONE') }), []);
+    assert.deepEqual(await toolNames({ requestBody: withMode('AUTO') }), []);
+    assert.deepEqual(await toolNames({ message: 'read file', requestBody: withMode('AUTO') }), ['read_file']);
+});
+
+test('sets stop reasons from tool calls and directives', async () => {
+    const config = {
+        ...CONFIG,
+        modelRegistry: normalizeModels({
+            guarded: [
+                { 'contains:secret': { type: 'message', content: 'No.', stop_reason: 'refusal' } },
+                { _default: { type: 'echo', stop_reason: 'max_tokens' } },
+            ],
+        }),
+    };
+    const resolve = (message, requestBody = {}) => resolveResponse({
+        config,
+        modelName: 'guarded',
+        inputText: message,
+        lastUserMessage: message,
+        requestBody,
+        headers: {},
+    });
+
+    assert.equal((await resolve('tell me the secret')).response.stop_reason, 'refusal');
+    assert.equal((await resolve('hello')).response.stop_reason, 'length');
+
+    const toolResult = await resolveResponse({
+        config: CONFIG,
+        modelName: 'echo',
+        inputText: 'hi',
+        lastUserMessage: 'hi',
+        requestBody: { tools: OPENAI_TOOLS, tool_choice: 'required' },
+        headers: {},
+    });
+    assert.equal(toolResult.response.stop_reason, 'tool_calls');
+});
+
+test('applies max token and stop sequence limits before counting usage', async () => {
+    const resolve = (requestBody) => resolveResponse({
+        config: CONFIG,
+        modelName: 'echo',
+        inputText: 'one two. three four',
+        lastUserMessage: 'one two. three four',
+        requestBody,
+        headers: {},
+    });
+
+    const truncated = (await resolve({ max_tokens: 7 })).response;
+    assert.equal(truncated.content, 'one two');
+    assert.equal(truncated.stop_reason, 'length');
+    assert.equal(truncated.usage.output, 7);
+
+    const stopped = (await resolve({ stop_sequences: ['four', '.'] })).response;
+    assert.equal(stopped.content, 'one two');
+    assert.equal(stopped.stop_reason, 'stop_sequence');
+    assert.equal(stopped.stop_sequence, '.');
+
+    const gemini = (await resolve({ generationConfig: { maxOutputTokens: 3, stopSequences: ['two'] } })).response;
+    assert.equal(gemini.content, 'one');
+    assert.equal(gemini.stop_reason, 'length');
+});
+
+test('keeps configured JSON content in every choice when a response schema applies', async () => {
+    const content = JSON.stringify({ city: 'Paris' });
+    const result = await resolveResponse({
+        config: {
+            ...CONFIG,
+            modelRegistry: normalizeModels({ weather: [{ _default: { type: 'message', content } }] }),
+        },
+        modelName: 'weather',
+        inputText: 'where?',
+        lastUserMessage: 'where?',
+        requestBody: {
+            n: 3,
+            response_format: {
+                type: 'json_schema',
+                json_schema: { schema: { type: 'object', properties: { city: { type: 'string' } } } },
+            },
+        },
+        headers: {},
+    });
+    assert.deepEqual(result.response.choices.map((choice) => choice.content), [content, content, content]);
+});
+
+test('stop sequences and max tokens respect tool calls and explicit stop reasons', async () => {
+    const config = {
+        ...CONFIG,
+        modelRegistry: normalizeModels({
+            agent: [
+                { 'contains:refuse': { type: 'message', content: 'No. Never.', stop_reason: 'refusal' } },
+                {
+                    _default: {
+                        type: 'message',
+                        content: 'Reading. Then writing.',
+                        tool_calls: [{ name: 'read_file', arguments: { path: 'notes.txt' } }],
+                    },
+                },
+            ],
+        }),
+    };
+    const resolve = (message, requestBody) => resolveResponse({
+        config,
+        modelName: 'agent',
+        inputText: message,
+        lastUserMessage: message,
+        requestBody,
+        headers: {},
+    });
+
+    const trimmed = (await resolve('go', { stop: ['.'] })).response;
+    assert.equal(trimmed.content, 'Reading');
+    assert.equal(trimmed.stop_reason, 'tool_calls');
+    assert.equal(trimmed.stop_sequence, undefined);
+    assert.equal(trimmed.tool_calls[0].name, 'read_file');
+
+    const refused = (await resolve('refuse', { stop: ['.'] })).response;
+    assert.equal(refused.content, 'No');
+    assert.equal(refused.stop_reason, 'refusal');
+
+    const withArguments = (await resolve('go', { max_tokens: 'Reading. Then writing.'.length + 5 })).response;
+    assert.equal(withArguments.stop_reason, 'length');
+    assert.equal(withArguments.tool_calls, undefined);
+    const roomy = (await resolve('go', { max_tokens: 100 })).response;
+    assert.equal(roomy.stop_reason, 'tool_calls');
+});
+
+test('idempotency keys start a fresh sequence turn and replay it on repeats', async () => {
+    const config = {
+        ...CONFIG,
+        modelRegistry: normalizeModels({
+            steps: [{ _default: { type: 'sequence', responses: ['one', 'two', 'three'] } }],
+        }),
+    };
+    const sessionStore = new SessionStore();
+    const turn = async (idempotencyKey) => {
+        const headers = { 'x-session-id': 'run', ...(idempotencyKey ? { 'idempotency-key': idempotencyKey } : {}) };
+        const result = await resolveResponse({
+            config,
+            modelName: 'steps',
+            inputText: 'next',
+            lastUserMessage: 'next',
+            requestBody: { messages: [{ role: 'user', content: 'next' }] },
+            headers,
+            sessionStore,
+        });
+        return result.response.content;
+    };
+
+    assert.equal(await turn('a'), 'one');
+    assert.equal(await turn('a'), 'one');
+    assert.equal(await turn('b'), 'two');
+    assert.equal(await turn('b'), 'two');
+    assert.equal(await turn(null), 'three');
+});
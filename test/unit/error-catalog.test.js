@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildErrorBody,
+    buildRetryHeaders,
+    expandFlakyShorthand,
+    normalizeErrorDirective,
+    resolveFlakyError,
+} from '../../src/error-catalog.js';
+import { SessionStore } from '../../src/session-store.js';
+
+test('maps statuses to provider error types', () => {
+    assert.equal(buildErrorBody('anthropic', { status: 429, message: 'slow down' }).error.type, 'rate_limit_error');
+    assert.equal(buildErrorBody('anthropic', { status: 529, message: 'busy' }).error.type, 'overloaded_error');
+    assert.equal(buildErrorBody('anthropic', { status: 401, message: 'no' }).error.type, 'authentication_error');
+    assert.equal(buildErrorBody('gemini', { status: 429, message: 'slow' }).error.status, 'RESOURCE_EXHAUSTED');
+    assert.equal(buildErrorBody('gemini', { status: 503, message: 'busy' }).error.status, 'UNAVAILABLE');
+    assert.deepEqual(buildErrorBody('openai', { status: 429, message: 'slow' }).error, {
+        message: 'slow',
+        type: 'requests',
+        param: null,
+        code: 'rate_limit_exceeded',
+    });
+    const notFound = buildErrorBody('openai', { status: 404, message: 'x', code: 'invalid_model' });
+    assert.equal(notFound.error.code, 'invalid_model');
+});
+
+test('resolves named errors and retry settings', () => {
+    const quota = normalizeErrorDirective({ code: 'insufficient_quota', retry_after: 2, should_retry: false });
+    assert.equal(quota.status, 429);
+    assert.deepEqual(buildErrorBody('openai', quota).error.type, 'insufficient_quota');
+    assert.deepEqual(buildRetryHeaders(quota), {
+        'retry-after': '2',
+        'retry-after-ms': '2000',
+        'x-should-retry': 'false',
+    });
+
+    const context = normalizeErrorDirective('context_length_exceeded');
+    assert.equal(context.status, 400);
+    assert.equal(buildErrorBody('openai', context).error.code, 'context_length_exceeded');
+
+    const exhausted = normalizeErrorDirective({ status: 'RESOURCE_EXHAUSTED', retry_after_ms: 1500 });
+    assert.equal(exhausted.status, 429);
+    assert.equal(buildErrorBody('gemini', exhausted).error.details[0].retryDelay, '2s');
+    assert.equal(normalizeErrorDirective('503').status, 503);
+    assert.deepEqual(buildRetryHeaders(normalizeErrorDirective('503')), {});
+});
+
+test('flaky errors fail the first attempts of the same request', () => {
+    const sessionStore = new SessionStore();
+    const directive = { type: 'flaky', failures: 2, status: 503 };
+    const attempt = (requestBody, headers = {}) => resolveFlakyError(directive, { headers, requestBody, sessionStore });
+
+    assert.equal(attempt({ input: 'a' }).status, 503);
+    assert.equal(attempt({ input: 'b' }).status, 503);
+    assert.match(attempt({ input: 'a' }).message, /attempt 2 of 2/);
+    assert.equal(attempt({ input: 'a' }), null);
+
+    const keyed = { 'idempotency-key': 'retry-1' };
+    assert.equal(attempt({ input: 'c' }, keyed).status, 503);
+    assert.equal(attempt({ input: 'd' }, keyed).status, 503);
+    assert.equal(attempt({ input: 'e' }, keyed), null);
+});
+
+test('expands the flaky header shorthand', () => {
+    assert.deepEqual(expandFlakyShorthand('flaky'), { type: 'flaky' });
+    assert.deepEqual(expandFlakyShorthand('flaky:3'), { type: 'flaky', failures: '3' });
+    assert.deepEqual(expandFlakyShorthand('flaky:3:429'), { type: 'flaky', failures: '3', status: '429' });
+    assert.deepEqual(expandFlakyShorthand('flaky::overloaded_error'), { type: 'flaky', status: 'overloaded_error' });
+    assert.equal(expandFlakyShorthand('429'), '429');
+    assert.equal(expandFlakyShorthand('flakyness'), 'flakyness');
+
+    const sessionStore = new SessionStore();
+    const directive = expandFlakyShorthand('flaky:1:overloaded_error');
+    const failed = resolveFlakyError(directive, { requestBody: { input: 'a' }, sessionStore });
+    assert.equal(failed.status, 529);
+    assert.equal(resolveFlakyError(directive, { requestBody: { input: 'a' }, sessionStore }), null);
+});
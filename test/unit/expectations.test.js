@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ExpectationStore } from '../../src/expectations.js';
+
+const request = (overrides = {}) => ({
+    id: 'req_1',
+    path: '/v1/chat/completions',
+    model: 'gpt-4',
+    resolvedModel: 'gpt-4',
+    message: 'hello there',
+    toolResult: null,
+    tools: [],
+    headers: {},
+    ...overrides,
+});
+
+test('matches requests by path, model, message, tools and headers', () => {
+    const store = new ExpectationStore();
+    store.add([
+        { id: 'path', path: '/v1/*' },
+        { id: 'resolved', model: 'echo' },
+        { id: 'message', message: 'contains:hello' },
+        { id: 'tool-result', message: 'tool:read_*:/done/' },
+        { id: 'tools', tools: ['search'] },
+        { id: 'header', headers: { 'X-Session-Id': 'run-*' } },
+    ]);
+
+    store.observe(request({ id: 'a', resolvedModel: 'echo' }));
+    store.observe(request({ id: 'b', message: '', toolResult: { name: 'read_file', content: 'done' } }));
+    store.observe(request({ id: 'c', path: '/v1beta/models', tools: ['search', 'fetch'] }));
+    store.observe(request({ id: 'd', headers: { 'x-session-id': 'run-7' } }));
+
+    const counts = Object.fromEntries(store.list().map((item) => [item.id, item.request_ids]));
+    assert.deepEqual(counts, {
+        path: ['a', 'b', 'd'],
+        resolved: ['a'],
+        message: ['a', 'c', 'd'],
+        'tool-result': ['b'],
+        tools: ['c'],
+        header: ['d'],
+    });
+});
+
+test('reports met, unmet and violated expectations', () => {
+    const store = new ExpectationStore();
+    store.add([
+        { id: 'exact', model: 'gpt-4', times: 2 },
+        { id: 'never', model: 'claude', times: 0 },
+        { id: 'at-most', path: '/v1/chat/completions', times: { at_most: 1 } },
+        { id: 'at-least', path: '/v1/messages', times: { at_least: 1 } },
+    ]);
+    store.observe(request({ id: 'a' }));
+    store.observe(request({ id: 'b' }));
+    store.observe(request({ id: 'c', path: '/v1/messages', model: 'claude', resolvedModel: 'echo' }));
+
+    const report = store.verify();
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.met.map((item) => item.id), ['exact', 'at-least']);
+    assert.deepEqual(report.unmet, []);
+    assert.deepEqual(report.violated.map((item) => [item.id, item.count]), [['never', 1], ['at-most', 2]]);
+
+    assert.equal(store.clear(), 4);
+    store.add({ model: 'gpt-4' });
+    assert.deepEqual(store.verify().unmet.map((item) => item.count), [0]);
+});
+
+test('rejects invalid expectations without registering any of the batch', () => {
+    const store = new ExpectationStore();
+    assert.throws(() => store.add([{ model: 'gpt-4' }, { times: -1 }]), /non-negative/);
+    assert.throws(() => store.add({ times: { at_least: 3, at_most: 1 } }), /at_most/);
+    assert.throws(() => store.add('gpt-4'), /must be an object/);
+    assert.deepEqual(store.list(), []);
+});
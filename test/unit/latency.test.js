@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLatencySchedule, calculateLatencyTotal, mergeLatencyProfiles } from '../../src/latency.js';
+
+const content = (count) => Array.from({ length: count }, () => true);
+
+test('schedules time-to-first-token before the first content event only', () => {
+    const contentEvents = [false, false, true, true, true, false, false];
+    const schedule = buildLatencySchedule({ ttft_ms: 200, inter_token_ms: 10 }, {
+        contentEvents,
+        outputTokens: 4,
+        baseDelayMs: 5,
+    });
+    assert.deepEqual(schedule, [0, 0, 205, 20, 20, 0, 0]);
+});
+
+test('spreads output tokens over the stream at tokens_per_second', () => {
+    const profile = { ttft_ms: 50, tokens_per_second: 100 };
+    const schedule = buildLatencySchedule(profile, { contentEvents: [false, ...content(5), false], outputTokens: 40 });
+    assert.deepEqual(schedule, [0, 50, 100, 100, 100, 100, 0]);
+    const total = calculateLatencyTotal(profile, { outputTokens: 40 });
+    assert.equal(total, 450);
+    assert.equal(schedule.reduce((sum, value) => sum + value, 0), total);
+});
+
+test('keeps the stream total when there is a single content event', () => {
+    const schedule = buildLatencySchedule({ ttft_ms: 100, tokens_per_second: 10 }, {
+        contentEvents: [false, true, false, false],
+        outputTokens: 3,
+    });
+    assert.deepEqual(schedule, [0, 100, 300, 0]);
+});
+
+test('applies seeded jitter distributions', () => {
+    const uniform = { inter_token_ms: 100, jitter: { distribution: 'uniform', ms: 20 } };
+    const options = (seed) => ({ contentEvents: content(20), outputTokens: 19, seed });
+    const first = buildLatencySchedule(uniform, options(7));
+    assert.deepEqual(buildLatencySchedule(uniform, options(7)), first);
+    assert.notDeepEqual(buildLatencySchedule(uniform, options(8)), first);
+    assert.ok(first.slice(1).every((value) => value >= 79 && value <= 121));
+
+    const longTail = { jitter: { distribution: 'long_tail', ms: 5, p99_ms: 5000 } };
+    const spikes = buildLatencySchedule(longTail, { contentEvents: content(2000), seed: 1 })
+        .filter((value) => value >= 5000);
+    assert.ok(spikes.length > 0 && spikes.length < 100);
+
+    const normal = buildLatencySchedule({ inter_token_ms: 100, jitter: { distribution: 'normal', ms: 10 } }, {
+        contentEvents: content(500),
+        outputTokens: 499,
+        seed: 3,
+    });
+    const mean = normal.slice(1).reduce((sum, value) => sum + value, 0) / (normal.length - 1);
+    assert.ok(Math.abs(mean - 100) < 3);
+});
+
+test('draws fresh jitter for unseeded requests', () => {
+    const profile = { ttft_ms: 100, jitter: { distribution: 'uniform', ms: 50 } };
+    const schedules = Array.from({ length: 5 }, () => buildLatencySchedule(profile, { contentEvents: content(6) }));
+    assert.ok(schedules.some((schedule) => schedule[0] !== schedules[0][0]));
+    const totals = Array.from({ length: 5 }, () => calculateLatencyTotal(profile, {}));
+    assert.ok(new Set(totals).size > 1);
+});
+
+test('merges global, model and directive profiles in order', () => {
+    assert.deepEqual(
+        mergeLatencyProfiles({ ttft_ms: 100, inter_token_ms: 5 }, null, { ttft_ms: 10 }),
+        { ttft_ms: 10, inter_token_ms: 5 },
+    );
+    assert.equal(mergeLatencyProfiles(null, undefined), null);
+});
@@ -1,6 +1,11 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { normalizeModels, resolveTriggerResponse } from '../../src/model-config.js';
+import {
+    normalizeModels,
+    resolveModelLatency,
+    resolveModelRateLimits,
+    resolveTriggerResponse,
+} from '../../src/model-config.js';
 
 test('resolves triggers with inheritance and defaults', () => {
     const registry = normalizeModels({
@@ -20,3 +25,75 @@ test('resolves triggers with inheritance and defaults', () => {
     const fallback = resolveTriggerResponse('child', 'other', registry);
     assert.equal(fallback.response, 'base default');
 });
+
+test('matches regex, glob, and substring triggers in declaration order', () => {
+    const registry = normalizeModels({
+        base: [
+            { 'contains:weather': 'base weather' },
+        ],
+        child: [
+            { _inherit: 'base' },
+            { '/^hello\\b/i': 'regex hello' },
+            { 'startsWith:run ': 'starts with run' },
+            { 'What?': 'exact question' },
+            { 'endsWith:?': 'a question' },
+            { 'glob:read *.txt': 'glob read' },
+            { 'contains:hello': 'contains hello' },
+        ],
+    });
+
+    assert.equal(resolveTriggerResponse('child', 'Hello there', registry).response, 'regex hello');
+    assert.equal(resolveTriggerResponse('child', 'run tests', registry).response, 'starts with run');
+    assert.equal(resolveTriggerResponse('child', 'why?', registry).response, 'a question');
+    assert.equal(resolveTriggerResponse('child', 'say hello', registry).response, 'contains hello');
+    assert.equal(resolveTriggerResponse('child', 'the weather today', registry).response, 'base weather');
+    assert.equal(resolveTriggerResponse('child', 'running', registry), null);
+
+    const glob = resolveTriggerResponse('child', 'read notes.txt', registry);
+    assert.equal(glob.response, 'glob read');
+    assert.deepEqual(glob.captures, ['read notes.txt', 'notes']);
+    assert.equal(resolveTriggerResponse('child', 'What?', registry).response, 'exact question');
+    assert.equal(resolveTriggerResponse('child', 'Whatx', registry), null);
+});
+
+test('matches tool triggers on the latest tool result', () => {
+    const registry = normalizeModels({
+        agent: [
+            { 'tool:read_file:contains:ERROR': 'read failed' },
+            { 'tool:read_file': 'file contents received, now writing' },
+            { 'tool:*': 'some tool finished' },
+            { _default: 'start' },
+        ],
+    });
+
+    const toolTrigger = (toolResult) => resolveTriggerResponse('agent', 'task', registry, { toolResult }).response;
+    assert.equal(toolTrigger({ name: 'read_file', content: 'ERROR: missing' }), 'read failed');
+    assert.equal(toolTrigger({ name: 'read_file', content: 'hello' }), 'file contents received, now writing');
+    assert.equal(toolTrigger({ name: 'list_dir', content: '[]' }), 'some tool finished');
+    assert.equal(toolTrigger(null), 'start');
+});
+
+test('resolves model latency profiles through inheritance', () => {
+    const registry = normalizeModels({
+        base: [{ _latency: { ttft_ms: 300 } }, { _default: 'base' }],
+        child: [{ _inherit: 'base' }, { _default: 'child' }],
+        tuned: { triggers: [{ _default: 'tuned' }], latency: { tokens_per_second: 40 } },
+        plain: [{ _default: 'plain' }],
+    });
+    assert.deepEqual(resolveModelLatency('child', registry), { ttft_ms: 300 });
+    assert.deepEqual(resolveModelLatency('tuned', registry), { tokens_per_second: 40 });
+    assert.equal(resolveModelLatency('plain', registry), null);
+});
+
+test('resolves model rate limits alongside latency profiles', () => {
+    const registry = normalizeModels({
+        base: [{ _rate_limits: { requests_per_minute: 5 } }, { _default: 'base' }],
+        child: [{ _inherit: 'base' }, { _latency: { ttft_ms: 300 } }, { _default: 'child' }],
+        tuned: { triggers: [{ _default: 'tuned' }], rate_limits: { tokens_per_minute: 1000 } },
+        plain: [{ _default: 'plain' }],
+    });
+    assert.deepEqual(resolveModelRateLimits('child', registry), { requests_per_minute: 5 });
+    assert.deepEqual(resolveModelRateLimits('tuned', registry), { tokens_per_minute: 1000 });
+    assert.deepEqual(resolveModelLatency('child', registry), { ttft_ms: 300 });
+    assert.equal(resolveModelRateLimits('plain', registry), null);
+});
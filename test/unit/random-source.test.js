@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RandomSource } from '../../src/random-source.js';
+
+const request = (body = {}, headers = {}) => ({ body, headers });
+
+test('draws reproducible request seeds from the global seed', () => {
+    const first = new RandomSource(42);
+    const second = new RandomSource('42');
+    const seeds = [first.requestSeed(request()), first.requestSeed(request())];
+    assert.deepEqual([second.requestSeed(request()), second.requestSeed(request())], seeds);
+    assert.notEqual(seeds[0], seeds[1]);
+    assert.notDeepEqual([new RandomSource(43).requestSeed(request())], [seeds[0]]);
+});
+
+test('prefers the request seed, Gemini generationConfig.seed and x-seed header', () => {
+    const source = new RandomSource(1);
+    assert.equal(source.requestSeed(request({ seed: 7 })), 7);
+    assert.equal(source.requestSeed(request({}, { 'x-seed': 'abc' })), 'abc');
+    assert.equal(source.requestSeed(request({ generationConfig: { seed: 9 } })), 9);
+    assert.equal(new RandomSource(null).requestSeed(request()), null);
+});
+
+test('restarts the seeded stream on reset', () => {
+    const source = new RandomSource(42);
+    const seeds = [source.requestSeed(request()), source.requestSeed(request())];
+    source.reset();
+    assert.deepEqual([source.requestSeed(request()), source.requestSeed(request())], seeds);
+});
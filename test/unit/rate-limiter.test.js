@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, buildRateLimitHeaders } from '../../src/rate-limiter.js';
+
+test('limits requests with a refilling token bucket', () => {
+    let now = 0;
+    const limiter = new RateLimiter({ now: () => now });
+    const limits = { requests: 2, tokens: 0 };
+
+    assert.equal(limiter.consume('key', limits).allowed, true);
+    const second = limiter.consume('key', limits);
+    assert.equal(second.allowed, true);
+    assert.equal(second.requests.remaining, 0);
+
+    const blocked = limiter.consume('key', limits);
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.retryAfterMs, 30000);
+    assert.equal(limiter.consume('other', limits).allowed, true);
+
+    now = 30000;
+    assert.equal(limiter.consume('key', limits).allowed, true);
+});
+
+test('limits tokens and charges output after the fact', () => {
+    let now = 0;
+    const limiter = new RateLimiter({ now: () => now });
+    const limits = { requests: 0, tokens: 100 };
+
+    assert.equal(limiter.consume('key', limits, 40).tokens.remaining, 60);
+    limiter.charge('key', limits, 50);
+    const blocked = limiter.consume('key', limits, 20);
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.tokens.remaining, 10);
+    assert.equal(blocked.requests, null);
+
+    now = 6000;
+    assert.equal(limiter.consume('key', limits, 20).allowed, true);
+});
+
+test('rejects requests larger than the whole token limit', () => {
+    const limiter = new RateLimiter({ now: () => 0 });
+    const limits = { requests: 0, tokens: 100 };
+
+    const oversized = limiter.consume('key', limits, 150);
+    assert.equal(oversized.allowed, false);
+    assert.equal(oversized.oversized, true);
+    assert.equal(oversized.retryAfterMs, null);
+    assert.equal(oversized.tokens.remaining, 100);
+    assert.equal(limiter.consume('key', limits, 100).allowed, true);
+});
+
+test('snapshots buckets without consuming them', () => {
+    const limiter = new RateLimiter({ now: () => 0 });
+    const limits = { requests: 2, tokens: 100 };
+
+    limiter.consume('key', limits, 10);
+    limiter.charge('key', limits, 5);
+    const snapshot = limiter.snapshot('key', limits);
+    assert.equal(snapshot.requests.remaining, 1);
+    assert.equal(snapshot.tokens.remaining, 85);
+    assert.equal(limiter.snapshot('key', limits).requests.remaining, 1);
+});
+
+test('formats OpenAI and Anthropic rate limit headers', () => {
+    const result = {
+        requests: { limit: 60, remaining: 59, resetMs: 1000 },
+        tokens: { limit: 1000, remaining: 900, resetMs: 90500 },
+    };
+    assert.deepEqual(buildRateLimitHeaders('openai', result), {
+        'x-ratelimit-limit-requests': '60',
+        'x-ratelimit-remaining-requests': '59',
+        'x-ratelimit-reset-requests': '1s',
+        'x-ratelimit-limit-tokens': '1000',
+        'x-ratelimit-remaining-tokens': '900',
+        'x-ratelimit-reset-tokens': '1m30.5s',
+    });
+    const anthropic = buildRateLimitHeaders('anthropic', result);
+    assert.equal(anthropic['anthropic-ratelimit-requests-remaining'], '59');
+    assert.ok(!Number.isNaN(Date.parse(anthropic['anthropic-ratelimit-tokens-reset'])));
+});
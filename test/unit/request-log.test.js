@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestLog } from '../../src/request-log.js';
+
+test('filters, looks up and evicts captured requests', () => {
+    const log = new RequestLog({ capacity: 3 });
+    log.record({ id: 'a', path: '/v1/chat/completions', model: 'gpt-4', resolved_model: 'gpt-4', session: 's1' });
+    log.record({ id: 'b', path: '/v1/messages', model: 'claude', resolved_model: 'echo', session: null });
+    log.record({ id: 'c', path: '/v1/chat/completions', model: 'gpt-4', resolved_model: 'gpt-4', session: 's2' });
+
+    assert.deepEqual(log.list().map((entry) => entry.id), ['c', 'b', 'a']);
+    assert.deepEqual(log.list({ model: 'echo' }).map((entry) => entry.id), ['b']);
+    assert.deepEqual(log.list({ path: '/v1/chat' }).map((entry) => entry.id), ['c', 'a']);
+    assert.deepEqual(log.list({ session: 's1' }).map((entry) => entry.id), ['a']);
+
+    log.record({ id: 'd', path: '/v1/responses', model: 'echo', resolved_model: 'echo', session: null });
+    assert.equal(log.get('a'), null);
+    assert.equal(log.get('d').path, '/v1/responses');
+    assert.equal(log.clear(), 3);
+    assert.deepEqual(log.list(), []);
+});
+
+test('masks credential headers and query parameters', () => {
+    const log = new RequestLog({ redact: ['x-tenant'] });
+    const entry = log.record({
+        id: 'a',
+        path: '/v1beta/models/gemini:generateContent',
+        request: {
+            headers: { Authorization: 'Bearer sk-secret', 'x-tenant': 'acme', 'content-type': 'application/json' },
+            query: { key: 'gemini-secret', alt: 'sse' },
+            body: { key: 'kept' },
+        },
+    });
+
+    assert.deepEqual(log.get('a'), entry);
+    assert.deepEqual(entry.request.headers, {
+        Authorization: '[REDACTED]',
+        'x-tenant': '[REDACTED]',
+        'content-type': 'application/json',
+    });
+    assert.deepEqual(entry.request.query, { key: '[REDACTED]', alt: 'sse' });
+    assert.deepEqual(entry.request.body, { key: 'kept' });
+});
@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    countAssistantTurns,
+    extractAnthropicText,
+    extractGeminiText,
+    extractInlineDirectives,
+    extractOpenAIChatText,
+    extractResponsesText,
+    extractResponsesToolResult,
+} from '../../src/request-utils.js';
+
+const EXPECTED_RESULT = { name: 'read_file', content: 'file contents' };
+
+test('extracts the latest tool result from every provider shape', () => {
+    const openai = extractOpenAIChatText([
+        { role: 'user', content: 'open a.txt' },
+        {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{}' } }],
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: 'file contents' },
+    ]);
+    assert.equal(openai.lastUser, 'open a.txt');
+    assert.deepEqual(openai.toolResult, EXPECTED_RESULT);
+
+    const anthropic = extractAnthropicText([
+        { role: 'user', content: [{ type: 'text', text: 'open a.txt' }] },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'read_file', input: {} }] },
+        {
+            role: 'user',
+            content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: 'file contents' }] }],
+        },
+    ]);
+    assert.equal(anthropic.lastUser, 'open a.txt');
+    assert.deepEqual(anthropic.toolResult, EXPECTED_RESULT);
+
+    const gemini = extractGeminiText([
+        { role: 'user', parts: [{ text: 'open a.txt' }] },
+        { role: 'model', parts: [{ functionCall: { name: 'read_file', args: {} } }] },
+        { role: 'user', parts: [{ functionResponse: { name: 'read_file', response: { content: 'file contents' } } }] },
+    ]);
+    assert.equal(gemini.lastUser, 'open a.txt');
+    assert.deepEqual(gemini.toolResult, EXPECTED_RESULT);
+
+    const responses = extractResponsesToolResult([
+        { role: 'user', content: 'open a.txt' },
+        { type: 'function_call', call_id: 'call_1', name: 'read_file', arguments: '{}' },
+        { type: 'function_call_output', call_id: 'call_1', output: 'file contents' },
+    ]);
+    assert.deepEqual(responses, EXPECTED_RESULT);
+});
+
+test('drops tool results once the user speaks again', () => {
+    const { toolResult } = extractOpenAIChatText([
+        { role: 'tool', name: 'read_file', content: 'file contents' },
+        { role: 'user', content: 'thanks' },
+    ]);
+    assert.equal(toolResult, null);
+});
+
+test('counts assistant turns across history shapes', () => {
+    const messages = [{ role: 'user' }, { role: 'assistant' }, { role: 'tool' }, { role: 'assistant' }];
+    assert.equal(countAssistantTurns({ messages }), 2);
+    assert.equal(countAssistantTurns({ contents: [{ role: 'user' }, { role: 'model' }] }), 1);
+    assert.equal(countAssistantTurns({ input: [{ type: 'function_call' }, { type: 'function_call' }] }), 1);
+    assert.equal(countAssistantTurns({ input: 'hello' }), 0);
+});
+
+test('parses and strips inline llmdbg directives', () => {
+    const parsed = extractInlineDirectives('read it [[llmdbg error=429 delay=500 tool_args=\'{"path": "a"}\']] now');
+    assert.equal(parsed.text, 'read it now');
+    assert.deepEqual(parsed.directives, {
+        'x-error': '429',
+        'x-delay-ms': '500',
+        'x-tool-result': '{"path": "a"}',
+    });
+    assert.deepEqual(extractInlineDirectives('  plain  '), { text: '  plain  ', directives: {} });
+
+    const chat = extractOpenAIChatText([
+        { role: 'user', content: 'first [[llmdbg behavior=Weirdo]]' },
+        { role: 'assistant', content: 'ok' },
+        { role: 'user', content: '[[llmdbg tool=read_file unknown=1]] open a.txt' },
+    ]);
+    assert.equal(chat.lastUser, 'open a.txt');
+    assert.equal(chat.allText, 'first\nok\nopen a.txt');
+    assert.deepEqual(chat.directives, { 'x-tool-name': 'read_file' });
+});
+
+test('does not reapply directives once tool results follow the last user message', () => {
+    const request = '[[llmdbg error=500 tool=read_file session=loop]] open a.txt';
+    const chat = extractOpenAIChatText([
+        { role: 'user', content: request },
+        { role: 'assistant', tool_calls: [{ id: 'call_1', function: { name: 'read_file', arguments: '{}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: 'file contents' },
+    ]);
+    assert.equal(chat.lastUser, 'open a.txt');
+    assert.deepEqual(chat.directives, { 'x-session-id': 'loop' });
+
+    const anthropic = extractAnthropicText([
+        { role: 'user', content: [{ type: 'text', text: request }] },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'tu_1', name: 'read_file', input: {} }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'tu_1', content: 'file contents' }] },
+    ]);
+    assert.deepEqual(anthropic.directives, { 'x-session-id': 'loop' });
+
+    const gemini = extractGeminiText([
+        { role: 'user', parts: [{ text: request }] },
+        { role: 'model', parts: [{ functionCall: { name: 'read_file', args: {} } }] },
+        { role: 'user', parts: [{ functionResponse: { name: 'read_file', response: { content: 'file contents' } } }] },
+    ]);
+    assert.deepEqual(gemini.directives, { 'x-session-id': 'loop' });
+
+    const fresh = extractAnthropicText([
+        {
+            role: 'user',
+            content: [
+                { type: 'tool_result', tool_use_id: 'tu_1', content: 'file contents' },
+                { type: 'text', text: 'now fail [[llmdbg error=500]]' },
+            ],
+        },
+    ]);
+    assert.deepEqual(fresh.directives, { 'x-error': '500' });
+});
+
+test('reads Responses input like a conversation', () => {
+    const responses = extractResponsesText([
+        { role: 'user', content: 'first [[llmdbg behavior=Weirdo]]' },
+        { type: 'function_call', call_id: 'call_1', name: 'read_file', arguments: '{}' },
+        { type: 'function_call_output', call_id: 'call_1', output: 'file contents' },
+        { role: 'user', content: [{ type: 'input_text', text: 'go [[llmdbg error="429" tool_args=\'{"a": 1}\']]' }] },
+    ]);
+    assert.equal(responses.lastUser, 'go');
+    assert.equal(responses.allText, 'first\nfile contents\ngo');
+    assert.equal(responses.toolResult, null);
+    assert.deepEqual(responses.directives, { 'x-error': '429', 'x-tool-result': '{"a": 1}' });
+
+    assert.deepEqual(extractResponsesText('hello [[llmdbg seed=3]]'), {
+        lastUser: 'hello',
+        allText: 'hello',
+        toolResult: null,
+        directives: { 'x-seed': '3' },
+    });
+});
@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { generateFromSchema } from '../../src/schema-faker.js';
+import { createSeededRandom } from '../../src/utils.js';
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        path: { type: 'string', minLength: 3, maxLength: 40 },
+        query: { type: 'string' },
+        mode: { type: 'string', enum: ['read', 'write'] },
+        limit: { type: 'integer', minimum: 1, maximum: 10 },
+        ratio: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+        recursive: { type: 'boolean' },
+        created: { type: 'string', format: 'date-time' },
+        owner: { type: 'string', format: 'email' },
+        id: { type: 'string', format: 'uuid' },
+        tags: { type: 'array', items: { type: 'string' }, minItems: 2, maxItems: 3 },
+        range: { $ref: '#/$defs/range' },
+        note: { type: ['string', 'null'] },
+    },
+    required: ['path', 'mode', 'range'],
+    additionalProperties: false,
+    $defs: {
+        range: {
+            type: 'object',
+            properties: { start: { type: 'integer', multipleOf: 5 }, end: { type: 'integer' } },
+            required: ['start', 'end'],
+        },
+    },
+};
+
+test('generates schema-valid arguments', () => {
+    const ajv = new Ajv({ strict: false });
+    addFormats(ajv);
+    const validate = ajv.compile(SCHEMA);
+
+    for (let seed = 0; seed < 20; seed += 1) {
+        const value = generateFromSchema(SCHEMA, { random: createSeededRandom(seed), userInput: 'find files' });
+        assert.ok(validate(value), JSON.stringify(validate.errors));
+        assert.equal(value.query, 'find files');
+    }
+});
+
+test('generates the same arguments for the same seed', () => {
+    const first = generateFromSchema(SCHEMA, { random: createSeededRandom(42) });
+    const second = generateFromSchema(SCHEMA, { random: createSeededRandom(42) });
+    const other = generateFromSchema(SCHEMA, { random: createSeededRandom(43) });
+    assert.deepEqual(first, second);
+    assert.notDeepEqual(first, other);
+});
+
+test('accepts Gemini upper-case schema types', () => {
+    const value = generateFromSchema(
+        { type: 'OBJECT', properties: { count: { type: 'INTEGER' }, name: { type: 'STRING' } } },
+        { random: createSeededRandom(1) },
+    );
+    assert.equal(typeof value.count, 'number');
+    assert.equal(typeof value.name, 'string');
+});
+
+test('generates strings matching simple patterns', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            code: { type: 'string', pattern: '^[A-Z]{3}-\\d{2}$' },
+            slug: { type: 'string', pattern: '^[a-z0-9_]+\\.v\\d?$' },
+            choice: { type: 'string', pattern: '^(yes|no)$', examples: ['maybe', 'yes'] },
+            fallback: { type: 'string', pattern: '^(on|off)$', default: 'off' },
+        },
+    };
+    for (let seed = 0; seed < 20; seed += 1) {
+        const value = generateFromSchema(schema, { random: createSeededRandom(seed) });
+        assert.match(value.code, /^[A-Z]{3}-\d{2}$/);
+        assert.match(value.slug, /^[a-z0-9_]+\.v\d?$/);
+        assert.equal(value.choice, 'yes');
+        assert.equal(value.fallback, 'off');
+    }
+});
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveStreamFault } from '../../src/stream-faults.js';
+
+test('resolves stream faults from headers before directives', () => {
+    const fault = resolveStreamFault(
+        { 'x-stream-fault': 'destroy', 'x-stream-fault-after': '3' },
+        { type: 'hang' },
+        'openai',
+    );
+    assert.deepEqual(fault, { type: 'destroy', after: 3, errorEvent: null });
+    assert.equal(resolveStreamFault({}, 'omit-done', 'openai').type, 'omit_done');
+    assert.equal(resolveStreamFault({}, { type: 'unknown' }, 'openai'), null);
+    assert.equal(resolveStreamFault({}, undefined, 'openai'), null);
+});
+
+test('builds provider-native stream error events', () => {
+    const anthropic = resolveStreamFault({}, { type: 'error', after: 2 }, 'anthropic');
+    assert.equal(anthropic.errorEvent.event, 'error');
+    assert.equal(anthropic.errorEvent.data.error.type, 'overloaded_error');
+
+    const openai = resolveStreamFault({}, { type: 'error', message: 'boom' }, 'openai');
+    assert.equal(openai.errorEvent.data.error.message, 'boom');
+
+    const gemini = resolveStreamFault({}, 'error', 'gemini');
+    assert.equal(gemini.errorEvent.data.error.status, 'UNAVAILABLE');
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveResponse } from '../../src/behavior.js';
+import { normalizeModels } from '../../src/model-config.js';
+import { buildTemplateContext, renderTemplate, renderTemplateValue } from '../../src/template.js';
+
+test('renders request values and capture groups into templates', () => {
+    const context = buildTemplateContext({
+        modelName: 'gpt-4',
+        lastUserMessage: 'read notes.txt',
+        requestBody: { temperature: 0.2, messages: [{}, {}, {}] },
+        headers: { 'x-user': 'kim' },
+        captures: ['read notes.txt', 'notes.txt'],
+    });
+
+    assert.equal(
+        renderTemplate('{{model}} {{ last_user }} {{request.body.temperature}} {{headers.x-user}}', context),
+        'gpt-4 read notes.txt 0.2 kim',
+    );
+    assert.equal(renderTemplate('{{message_count}} {{1}} {{match.1}} [{{missing}}]', context), '3 notes.txt notes.txt []');
+    assert.deepEqual(renderTemplateValue({ path: '/tmp/{{1}}', tags: ['{{model}}'] }, context), {
+        path: '/tmp/notes.txt',
+        tags: ['gpt-4'],
+    });
+});
+
+test('counts usage from rendered directive content', async () => {
+    const modelsConfig = {
+        reader: [
+            {
+                '/^read (\\S+)$/': {
+                    type: 'message',
+                    content: 'Reading {{1}}',
+                    tool_calls: [{ name: 'read_file', arguments: { path: '{{1}}' } }],
+                },
+            },
+        ],
+    };
+    const result = await resolveResponse({
+        config: { modelRegistry: normalizeModels(modelsConfig), tokenCounting: 'chars' },
+        modelName: 'reader',
+        inputText: 'read a.txt',
+        lastUserMessage: 'read a.txt',
+        requestBody: {},
+        headers: {},
+    });
+
+    assert.equal(result.response.content, 'Reading a.txt');
+    assert.equal(result.response.usage.output, 'Reading a.txt'.length);
+    assert.deepEqual(result.response.tool_calls[0].arguments, { path: 'a.txt' });
+});
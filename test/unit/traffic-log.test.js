@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, rmSync, utimesSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { TrafficLog, reassembleStreamOutput } from '../../src/traffic-log.js';
+
+async function withTempDir(run) {
+    const dir = mkdtempSync(join(tmpdir(), 'llmdbg-log-'));
+    try {
+        await run(dir);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function readLines(path) {
+    return readFileSync(path, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+}
+
+test('writes redacted entries with reassembled stream output', async () => {
+    await withTempDir(async (dir) => {
+        const path = join(dir, 'logs', 'traffic.jsonl');
+        const log = new TrafficLog({ path, redact: ['authorization', 'key', 'set-cookie'] });
+        log.append({
+            id: 'req_1',
+            request: {
+                headers: { Authorization: 'Bearer secret', 'content-type': 'application/json' },
+                query: { key: 'gemini-secret', alt: 'sse' },
+                body: { messages: [{ role: 'user', content: 'hi' }], metadata: { key: 'order-42' } },
+            },
+            response: { headers: { 'set-cookie': 'session=abc' }, body: null },
+            stream: {
+                chunks_sent: 3,
+                chunks: [
+                    { offset_ms: 1, data: { choices: [{ index: 0, delta: { role: 'assistant', content: 'Hel' } }] } },
+                    { offset_ms: 2, data: { choices: [{ index: 0, delta: { content: 'lo' } }] } },
+                    { offset_ms: 3, data: '[DONE]' },
+                ],
+            },
+        });
+        await log.close();
+
+        const [entry] = readLines(path);
+        assert.equal(entry.request.headers.Authorization, '[REDACTED]');
+        assert.equal(entry.request.headers['content-type'], 'application/json');
+        assert.deepEqual(entry.request.query, { key: '[REDACTED]', alt: 'sse' });
+        assert.deepEqual(entry.request.body.metadata, { key: 'order-42' });
+        assert.equal(entry.response.headers['set-cookie'], '[REDACTED]');
+        assert.deepEqual(entry.stream, { chunks_sent: 3, output: 'Hello' });
+    });
+});
+
+test('rotates by size and by age', async () => {
+    await withTempDir(async (dir) => {
+        const path = join(dir, 'traffic.jsonl');
+        let now = 0;
+        const bySize = new TrafficLog({ path, maxBytes: 60, now: () => now });
+        bySize.append({ id: 'a', note: 'x'.repeat(30) });
+        bySize.append({ id: 'b', note: 'x'.repeat(30) });
+        await bySize.close();
+        assert.deepEqual(readLines(`${path}.1`).map((entry) => entry.id), ['a']);
+        assert.deepEqual(readLines(path).map((entry) => entry.id), ['b']);
+
+        utimesSync(path, 0, 0);
+        const byAge = new TrafficLog({ path, maxAgeMs: 1000, now: () => now });
+        now = 500;
+        byAge.append({ id: 'c' });
+        now = 2000;
+        byAge.append({ id: 'd' });
+        await byAge.close();
+        assert.deepEqual(readLines(`${path}.2`).map((entry) => entry.id), ['a']);
+        assert.deepEqual(readLines(`${path}.1`).map((entry) => entry.id), ['b', 'c']);
+        assert.deepEqual(readLines(path).map((entry) => entry.id), ['d']);
+        assert.equal(existsSync(`${path}.3`), false);
+    });
+});
+
+test('age rotation counts from the existing file across restarts', async () => {
+    await withTempDir(async (dir) => {
+        const path = join(dir, 'traffic.jsonl');
+        const first = new TrafficLog({ path });
+        first.append({ id: 'old' });
+        await first.close();
+        utimesSync(path, 100, 100);
+
+        const restarted = new TrafficLog({ path, maxAgeMs: 60_000, now: () => 100_000 + 60_000 });
+        restarted.append({ id: 'new' });
+        await restarted.close();
+        assert.deepEqual(readLines(`${path}.1`).map((entry) => entry.id), ['old']);
+        assert.deepEqual(readLines(path).map((entry) => entry.id), ['new']);
+    });
+});
+
+test('reassembles anthropic, responses and gemini streams', () => {
+    const chunks = (items) => items.map((data) => ({ data }));
+    assert.equal(reassembleStreamOutput(chunks([
+        { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'hmm' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hi' } },
+    ])), 'Hi');
+    assert.equal(reassembleStreamOutput(chunks([
+        { type: 'response.output_text.delta', delta: 'Hi ' },
+        { type: 'response.output_text.delta', delta: 'there' },
+    ])), 'Hi there');
+    assert.equal(reassembleStreamOutput(chunks([
+        { candidates: [{ index: 0, content: { parts: [{ text: 'plan', thought: true }, { text: 'Yo' }] } }] },
+    ])), 'Yo');
+});
@@ -1,6 +1,19 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { mapUsageToOpenAIChat, mapUsageToAnthropic, mapUsageToGemini } from '../../src/translator.js';
+import {
+    buildAnthropicMessageResponse,
+    buildAnthropicStreamEvents,
+    buildGeminiGenerateResponse,
+    buildGeminiStreamChunks,
+    buildOpenAIChatResponse,
+    buildOpenAIChatStreamEvents,
+    buildOpenAIResponsesEvents,
+    buildOpenAIResponsesResponse,
+    isContentEvent,
+    mapUsageToOpenAIChat,
+    mapUsageToAnthropic,
+    mapUsageToGemini,
+} from '../../src/translator.js';
 
 test('maps canonical usage to OpenAI chat usage', () => {
     const usage = mapUsageToOpenAIChat({ input: 2, output: 3, reasoning: 1, cache_read: 4 });
@@ -26,3 +39,130 @@ test('maps canonical usage to Gemini usage', () => {
     assert.equal(usage.totalTokenCount, 9);
     assert.equal(usage.cachedContentTokenCount, 6);
 });
+
+test('maps canonical stop reasons to each provider', () => {
+    const toolResponse = {
+        content: '',
+        tool_calls: [{ id: 'tool_1', name: 'read_file', arguments: {} }],
+        stop_reason: 'tool_calls',
+        usage: {},
+    };
+    assert.equal(buildOpenAIChatResponse({ response: toolResponse }).choices[0].finish_reason, 'tool_calls');
+    assert.equal(buildAnthropicMessageResponse({ response: toolResponse }).stop_reason, 'tool_use');
+    assert.equal(buildGeminiGenerateResponse({ response: toolResponse }).candidates[0].finishReason, 'STOP');
+
+    const truncated = { content: 'partial', stop_reason: 'length', usage: {} };
+    assert.equal(buildOpenAIChatResponse({ response: truncated }).choices[0].finish_reason, 'length');
+    assert.equal(buildAnthropicMessageResponse({ response: truncated }).stop_reason, 'max_tokens');
+    assert.equal(buildGeminiGenerateResponse({ response: truncated }).candidates[0].finishReason, 'MAX_TOKENS');
+    const incomplete = buildOpenAIResponsesResponse({ response: truncated });
+    assert.equal(incomplete.status, 'incomplete');
+    assert.equal(incomplete.incomplete_details.reason, 'max_output_tokens');
+
+    const refusal = { content: 'I cannot help with that.', stop_reason: 'refusal', usage: {} };
+    const refusalMessage = buildOpenAIChatResponse({ response: refusal }).choices[0].message;
+    assert.equal(refusalMessage.content, null);
+    assert.equal(refusalMessage.refusal, 'I cannot help with that.');
+    assert.equal(buildAnthropicMessageResponse({ response: refusal }).stop_reason, 'refusal');
+    assert.equal(buildGeminiGenerateResponse({ response: refusal }).candidates[0].finishReason, 'SAFETY');
+});
+
+test('streams content in configured chunks for every provider', () => {
+    const response = { content: 'hello world', stop_reason: 'stop', usage: { input: 1, output: 11 } };
+    const chunking = { size: 4, unit: 'chars' };
+
+    const chat = buildOpenAIChatStreamEvents({ response, model: 'echo', includeUsage: false, chunking });
+    const chatDeltas = chat.filter((event) => event.data.choices?.[0]?.delta?.content);
+    assert.deepEqual(chatDeltas.map((event) => event.data.choices[0].delta.content), ['hell', 'o wo', 'rld']);
+    assert.equal(chatDeltas[0].data.choices[0].delta.role, 'assistant');
+
+    const anthropic = buildAnthropicStreamEvents({ response, model: 'echo', chunking });
+    const textDeltas = anthropic.filter((event) => event.data.delta?.type === 'text_delta');
+    assert.equal(textDeltas.map((event) => event.data.delta.text).join(''), 'hello world');
+    assert.equal(textDeltas.length, 3);
+
+    const gemini = buildGeminiStreamChunks({ response, chunking: { size: 1, unit: 'words' } });
+    assert.deepEqual(gemini.map((chunk) => chunk.candidates[0].content.parts[0].text), ['hello ', 'world']);
+    assert.equal(gemini[0].candidates[0].finishReason, undefined);
+    assert.equal(gemini[1].candidates[0].finishReason, 'STOP');
+    assert.ok(gemini[1].usageMetadata);
+});
+
+test('streams tool call arguments incrementally', () => {
+    const response = {
+        content: '',
+        tool_calls: [{ id: 'call_1', name: 'lookup', arguments: { q: 'abc' } }],
+        stop_reason: 'tool_calls',
+        usage: { input: 1, output: 1 },
+    };
+    const events = buildOpenAIChatStreamEvents({ response, model: 'echo', chunking: { size: 4, unit: 'chars' } });
+    const toolDeltas = events.map((event) => event.data.choices?.[0]?.delta?.tool_calls?.[0]).filter(Boolean);
+    assert.equal(toolDeltas[0].function.name, 'lookup');
+    assert.equal(toolDeltas.map((call) => call.function.arguments).join(''), '{"q":"abc"}');
+    assert.ok(toolDeltas.length > 2);
+});
+
+test('marks only text and tool-argument deltas as content events', () => {
+    const response = {
+        content: 'hello world',
+        tool_calls: [{ id: 'call_1', name: 'lookup', arguments: { q: 'abc' } }],
+        stop_reason: 'tool_calls',
+        usage: { input: 1, output: 5 },
+    };
+    const chunking = { size: 6, unit: 'chars' };
+    const kinds = (events) => events.map((event) => isContentEvent(event));
+
+    const chat = buildOpenAIChatStreamEvents({ response, model: 'echo', includeUsage: true, chunking });
+    assert.deepEqual(kinds(chat), [true, true, false, true, true, false, false, false]);
+
+    const anthropic = buildAnthropicStreamEvents({ response, model: 'echo', chunking });
+    assert.deepEqual(
+        anthropic.filter((event) => isContentEvent(event)).map((event) => event.data.delta.type),
+        ['text_delta', 'text_delta', 'input_json_delta', 'input_json_delta'],
+    );
+    assert.equal(isContentEvent(anthropic[0]), false);
+
+    const responses = buildOpenAIResponsesEvents({ response, model: 'echo', chunking });
+    assert.deepEqual(
+        [...new Set(responses.filter((event) => isContentEvent(event)).map((event) => event.event))],
+        ['response.output_text.delta', 'response.function_call_arguments.delta'],
+    );
+
+    const gemini = buildGeminiStreamChunks({ response, chunking }).map((data) => ({ data }));
+    assert.ok(kinds(gemini).every(Boolean));
+});
+
+test('prefers explicit content chunks when they match the content', () => {
+    const response = { content: 'ab', content_chunks: ['a', 'b'], stop_reason: 'stop', usage: {} };
+    const events = buildAnthropicStreamEvents({ response, model: 'echo', chunking: { size: 10, unit: 'chars' } });
+    const texts = events
+        .filter((event) => event.data.delta?.type === 'text_delta')
+        .map((event) => event.data.delta.text);
+    assert.deepEqual(texts, ['a', 'b']);
+});
+
+test('streams Anthropic thinking, text and tool_use blocks with their own indexes', () => {
+    const response = {
+        content: 'Hi',
+        reasoning: 'Think',
+        tool_calls: [{ id: 'toolu_1', name: 'search', arguments: { q: 'x' } }],
+        stop_reason: 'tool_calls',
+        usage: { input: 1, output: 2 },
+    };
+    const events = buildAnthropicStreamEvents({ response, model: 'm', chunking: { size: 2, unit: 'chars' } });
+    const message = buildAnthropicMessageResponse({ response, model: 'm' });
+
+    assert.equal(events[1].event, 'ping');
+    const starts = events.filter((event) => event.event === 'content_block_start');
+    assert.deepEqual(starts.map((event) => [event.data.index, event.data.content_block.type]), [
+        [0, 'thinking'],
+        [1, 'text'],
+        [2, 'tool_use'],
+    ]);
+    const signature = events.find((event) => event.data.delta?.type === 'signature_delta');
+    assert.equal(signature.data.delta.signature, message.content[0].signature);
+    const json = events.filter((event) => event.data.delta?.type === 'input_json_delta')
+        .map((event) => event.data.delta.partial_json).join('');
+    assert.deepEqual(JSON.parse(json), { q: 'x' });
+    assert.equal(events.at(-2).data.delta.stop_reason, 'tool_use');
+});
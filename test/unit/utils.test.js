@@ -1,6 +1,6 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { countTokens } from '../../src/utils.js';
+import { countTokens, splitIntoChunks, truncateToTokens } from '../../src/utils.js';
 
 test('counts tokens by chars', () => {
     assert.equal(countTokens('abc', 'chars'), 3);
@@ -9,3 +9,15 @@ test('counts tokens by chars', () => {
 test('counts tokens by words', () => {
     assert.equal(countTokens('hello world', 'words'), 2);
 });
+
+test('truncates text to a token budget', () => {
+    assert.equal(truncateToTokens('abcdef', 4, 'chars'), 'abcd');
+    assert.equal(truncateToTokens('one two  three four', 3, 'words'), 'one two  three');
+    assert.equal(truncateToTokens('short', 10, 'chars'), 'short');
+});
+
+test('splits text into stream chunks', () => {
+    assert.deepEqual(splitIntoChunks('abcdefg', 3, 'chars'), ['abc', 'def', 'g']);
+    assert.deepEqual(splitIntoChunks('one two three', 2, 'words'), ['one two ', 'three']);
+    assert.deepEqual(splitIntoChunks('', 3, 'chars'), []);
+});